@@ -3,13 +3,17 @@
 
 /*
 Reddit removal/lock tracker + heuristic reporting + karma-over-time series
-- One-shot, cron-friendly (/10).
+- One-shot, cron-friendly (/10), or --daemon with an internal non-overlapping scheduler.
 - SQLite always (better-sqlite3). Optional Postgres mirror (--pg-url / REDDIT_SCRAPER_PG_URL).
 - OAuth via refresh token (Node 20+ global fetch).
 - Scrapes /r/<sub>/new (limit=100, paginated), stops at cutoff, upserts posts, then (optionally) fetches comments.
+- Multiple subreddits per run (--subreddit a,b,c): one token, one process, per-subreddit summary breakdown.
 - Recheck window: batch /api/info; comments recheck (confidence + new).
-- Captures transitions (first_seen, removed_at, locked_at), outbound links, and score series (posts/comments).
-- Idempotent, retry/backoff, timeouts. If SQLite window empty but PG has rows, recheck uses PG set.
+- Captures transitions (first_seen, removed_at, locked_at) for posts and comments, outbound links, and score series
+  (posts/comments) as rows in post_snapshots/comment_snapshots.
+- Every observed change of removal/lock/flair/distinguish state is appended to state_events (old -> new, observed_at).
+- Idempotent, retry/backoff, timeouts. All oauth calls share one limiter fed by X-Ratelimit-* headers. If SQLite window empty but PG has rows, recheck uses PG set.
+- Versioned schema migrations (schema_migrations) applied to SQLite and PG at startup; `migrate` to inspect/apply.
 - Removed moderator posts/comments tracking ability from main script to prevent stalking and abuse.
 */
 
@@ -19,11 +23,16 @@ const fs = require("fs");
 const path = require("path");
 const process = require("process");
 const os = require("os");
+const crypto = require("crypto");
+const http = require("http");
 const Database = require("better-sqlite3");
-const { Client: PgClient } = require("pg");
+const { Client: PgClient, types: pgTypes } = require("pg");
 
 const argv = process.argv.slice(2);
+const COMMANDS = ["run", "migrate", "sync", "verify", "export", "serve", "prune", "pseudonymize"];
 const opts = {
+  command: null,
+
   clientId: process.env.REDDIT_CLIENT_ID || null,
   clientSecret: process.env.REDDIT_CLIENT_SECRET || null,
   refreshToken: process.env.REDDIT_SCRAPER_REFRESH_TOKEN || null,
@@ -44,8 +53,16 @@ const opts = {
   noRecheckComments: process.env.REDDIT_SCRAPER_NO_RECHECK_COMMENTS === "1",
   initialCommentLimit: Math.max(0, Number(process.env.REDDIT_SCRAPER_INITIAL_COMMENT_LIMIT || 0)),
   recheckCommentLimit: Math.max(0, Number(process.env.REDDIT_SCRAPER_RECHECK_COMMENT_LIMIT || 0)),
+  // Off unless asked for: expansion costs up to this many extra requests per run.
+  moreBudget: Math.max(0, Number(process.env.REDDIT_SCRAPER_MORE_BUDGET ?? 0)),
+  moreThreadBudget: Math.max(0, Number(process.env.REDDIT_SCRAPER_MORE_THREAD_BUDGET ?? 10)),
   fetchTimeoutMs: Math.max(1000, Number(process.env.REDDIT_SCRAPER_FETCH_TIMEOUT_MS || 20000)),
   report: process.env.REDDIT_SCRAPER_REPORT === "1",
+  excludeAuthorDeletions: process.env.REDDIT_SCRAPER_EXCLUDE_AUTHOR_DELETIONS === "1",
+  reportFormat: (process.env.REDDIT_SCRAPER_REPORT_FORMAT || "text").toLowerCase(),
+  reportOut: process.env.REDDIT_SCRAPER_REPORT_OUT || null,
+  reportTz: process.env.REDDIT_SCRAPER_REPORT_TZ || "UTC",
+  termMinSupport: process.env.REDDIT_SCRAPER_TERM_MIN_SUPPORT || "10",
 
   seriesMax: Math.max(0, Number(process.env.REDDIT_SCRAPER_SERIES_MAX || 0)),
   seriesDedupePosts: process.env.REDDIT_SCRAPER_SERIES_DEDUPE_POSTS === "0" ? false : true,
@@ -56,6 +73,43 @@ const opts = {
   ua: (process.env.REDDIT_SCRAPER_UA || UAC),
   webhookUrl: process.env.REDDIT_SCRAPER_WEBHOOK_URL || null,
   webhookTimeoutMs: Math.max(1000, Number(process.env.REDDIT_SCRAPER_WEBHOOK_TIMEOUT_MS || 5000)),
+  webhookReport: process.env.REDDIT_SCRAPER_WEBHOOK_REPORT === "1",
+  webhookSecret: process.env.REDDIT_SCRAPER_WEBHOOK_SECRET || null,
+  eventWebhooks: (process.env.REDDIT_SCRAPER_EVENT_WEBHOOKS || "").split(/[\s,]+/).filter(Boolean),
+
+  daemon: process.env.REDDIT_SCRAPER_DAEMON === "1",
+  interval: process.env.REDDIT_SCRAPER_INTERVAL || "10m",
+  jitter: process.env.REDDIT_SCRAPER_JITTER || null,
+
+  ratelimitReserve: Math.max(0, Number(process.env.REDDIT_SCRAPER_RATELIMIT_RESERVE || 10)),
+
+  status: false,
+  dryRun: false,
+  // Retention policy (prune command, or after every run with --prune-after-run); 0 = off.
+  pruneDays: Math.max(0, Number(process.env.REDDIT_SCRAPER_PRUNE_DAYS || 0)),
+  downsampleHourlyDays: Math.max(0, Number(process.env.REDDIT_SCRAPER_DOWNSAMPLE_HOURLY_DAYS || 0)),
+  downsampleDailyDays: Math.max(0, Number(process.env.REDDIT_SCRAPER_DOWNSAMPLE_DAILY_DAYS || 0)),
+  bodyRetentionDays: Math.max(0, Number(process.env.REDDIT_SCRAPER_BODY_RETENTION_DAYS || 0)),
+  archiveDir: process.env.REDDIT_SCRAPER_ARCHIVE_DIR || null,
+  pruneAfterRun: process.env.REDDIT_SCRAPER_PRUNE_AFTER_RUN === "1",
+  // Privacy mode: authors are stored as a keyed hash; also the key for the pseudonymize command.
+  pseudonymizeKey: process.env.REDDIT_SCRAPER_PSEUDONYMIZE_KEY || null,
+  pseudonymizeOut: null,
+  stripBodies: false,
+  repair: false,
+
+  exportFormat: "csv",
+  exportDir: null,
+  exportTables: null,
+  exportColumns: {},
+
+  metricsPort: process.env.REDDIT_SCRAPER_METRICS_PORT ? Number(process.env.REDDIT_SCRAPER_METRICS_PORT) : null,
+  metricsHost: process.env.REDDIT_SCRAPER_METRICS_HOST || "127.0.0.1",
+  metricsTextfile: process.env.REDDIT_SCRAPER_METRICS_TEXTFILE || null,
+
+  serveSource: process.env.REDDIT_SCRAPER_SERVE_SOURCE || "sqlite",
+  serveHost: process.env.REDDIT_SCRAPER_SERVE_HOST || "127.0.0.1",
+  servePort: Number(process.env.REDDIT_SCRAPER_SERVE_PORT || 8080),
 };
 
 const pickNext = (flag, i) => {
@@ -63,22 +117,68 @@ const pickNext = (flag, i) => {
   return argv[i + 1];
 };
 
+// "90s", "10m", "1h", "1d", "500ms"; a bare number is seconds.
+const parseDuration = (s) => {
+  const m = String(s).trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)?$/i);
+  if (!m) throw new Error(`Invalid duration: ${s}`);
+  const mult = { ms: 1, s: 1000, m: 60_000, h: 3_600_000, d: 86_400_000 }[(m[2] || "s").toLowerCase()];
+  return Math.round(Number(m[1]) * mult);
+};
+
 const printHelpAndExit = (code = 0) => {
   console.log(`
 Reddit Post/Comment Removal Tracker + Heuristics + Karma Series
 
 Usage:
-  index.js --client-id <id> --client-secret <secret> --refresh-token <tok> \\
-           --subreddit <name> [--days-back 4] [--start <ISO|epoch>] [--end <ISO|epoch>] \\
+  index.js [run] --client-id <id> --client-secret <secret> --refresh-token <tok> \\
+           --subreddit <name>[,<name>...] [--days-back 4] [--start <ISO|epoch>] [--end <ISO|epoch>] \\
            [--db <sqlite path>] [--pg-url <postgres dsn>] \\
            [--concurrency 2] [--max-pages N] [--max-posts N] \\
            [--no-comments] [--no-recheck-comments] \\
-           [--initial-comment-limit N] [--recheck-comment-limit N] \\
-           [--fetch-timeout-ms 20000] [--ua ${UAC}] \\
+           [--initial-comment-limit N] [--recheck-comment-limit N] [--more-budget 0] [--more-thread-budget 10] \\
+           [--fetch-timeout-ms 20000] [--ua ${UAC}] [--ratelimit-reserve 10] \\
            [--series-max 288] [--no-series-dedupe-posts] \\
            [--comment-series-max 288] [--comment-series-dedupe] \\
-           [--completion-webhook <URL>] [--completion-webhook-timeout 5000] \\
-           [--report] [--verbose] [--help|-h]
+           [--completion-webhook <URL>] [--completion-webhook-timeout 5000] [--webhook-report] \\
+           [--event-webhook [json:|discord:|slack:]<URL>]... [--webhook-secret <secret>] \\
+           [--daemon] [--interval 10m] [--jitter 1m] \\
+           [--metrics-port 9464] [--metrics-host 127.0.0.1] [--metrics-textfile <path.prom>] \\
+           [--report] [--report-format text|json|markdown|html] [--report-out <file>] [--exclude-author-deletions] \\
+           [--report-tz <IANA zone, default UTC>] [--term-min-support 10] \\
+           [--prune-after-run <plus the prune policy flags below>] [--pseudonymize-key <secret>] \\
+           [--verbose] [--help|-h]
+
+  index.js migrate [--status] [--dry-run] [--db <sqlite path>] [--pg-url <postgres dsn>]
+      Applies pending schema migrations to SQLite (and Postgres if configured).
+      --status lists applied/pending versions; --dry-run shows what would be applied.
+
+  index.js sync [--db <sqlite path>] --pg-url <postgres dsn>
+      Copies every post, comment, state event and snapshot from SQLite to Postgres (idempotent).
+
+  index.js verify [--repair] [--db <sqlite path>] --pg-url <postgres dsn>
+      Compares row counts, per-day counts and per-row checksums between SQLite and Postgres;
+      --repair re-copies missing or differing rows from SQLite. Exits 1 while the backends differ.
+
+  index.js export [--format csv|jsonl] [--out-dir <dir>] [--start <ISO|epoch>] [--end <ISO|epoch>] \\
+           [--subreddit <name>[,<name>...]] [--tables posts,comments,post_snapshots,comment_snapshots,revisions,state_events] \\
+           [--columns <table>:<col>,<col>]... [--db <sqlite path>]
+      Streams posts in the window plus their comments and score history to one file per table,
+      and writes manifest.json (row counts, columns, schema version). Default dir: export/ next to the db.
+
+  index.js serve [--source sqlite|pg] [--host 127.0.0.1] [--port 8080] [--db <sqlite path>] [--pg-url <postgres dsn>]
+      Read-only HTTP API (/api/posts, /api/posts/<id>, /api/report, /api/health) and a dashboard at /.
+
+  index.js prune [--prune-days N] [--downsample-hourly-days N] [--downsample-daily-days N] [--body-retention-days N] \\
+           [--archive-dir <dir>] [--format csv|jsonl] [--dry-run] [--db <sqlite path>] [--pg-url <postgres dsn>]
+      Deletes posts created more than --prune-days ago with their comments, snapshots, events and revisions
+      (exported to <archive-dir>/prune-<ts>/ first if set), keeps one snapshot per hour/day past the downsample
+      ages, nulls selftext/comment bodies past --body-retention-days, then VACUUM/ANALYZE. Postgres gets the same.
+      --dry-run reports the row counts without changing anything.
+
+  index.js pseudonymize --pseudonymize-key <secret> [--out <path>] [--strip-bodies] [--db <sqlite path>]
+      Writes a copy of the database (default: <db>-pseudonymized.db) with every author replaced by its keyed
+      hash, as the scraper stores them under --pseudonymize-key; --strip-bodies also drops selftext and comment
+      bodies. Outbox and webhook queues are left out of the copy.
 `);
   process.exit(code);
 };
@@ -105,7 +205,10 @@ for (let i = 0; i < argv.length; i++) {
     case "--no-recheck-comments": opts.noRecheckComments = true; break;
     case "--initial-comment-limit": opts.initialCommentLimit = Math.max(0, Number(pickNext(a, i++))); break;
     case "--recheck-comment-limit": opts.recheckCommentLimit = Math.max(0, Number(pickNext(a, i++))); break;
+    case "--more-budget": opts.moreBudget = Math.max(0, Number(pickNext(a, i++))); break;
+    case "--more-thread-budget": opts.moreThreadBudget = Math.max(0, Number(pickNext(a, i++))); break;
     case "--fetch-timeout-ms": opts.fetchTimeoutMs = Math.max(1000, Number(pickNext(a, i++))); break;
+    case "--ratelimit-reserve": opts.ratelimitReserve = Math.max(0, Number(pickNext(a, i++))); break;
 
     case "--series-max": opts.seriesMax = Math.max(0, Number(pickNext(a, i++))); break;
     case "--no-series-dedupe-posts": opts.seriesDedupePosts = false; break;
@@ -113,10 +216,51 @@ for (let i = 0; i < argv.length; i++) {
     case "--comment-series-dedupe": opts.commentSeriesDedupe = true; break;
     case "--ua": opts.ua = pickNext(a, i++); break;
     case "--report": opts.report = true; break;
-    case "--completion-webhook": opts.completionWebhook = pickNext(a, i++);; break;
-    case "--completion-webhook-timeout": opts.completionWebhookTimeout = pickNext(a, i++);; break;
+    case "--exclude-author-deletions": opts.excludeAuthorDeletions = true; break;
+    case "--report-format": opts.reportFormat = pickNext(a, i++).toLowerCase(); opts.report = true; break;
+    case "--report-out": opts.reportOut = pickNext(a, i++); opts.report = true; break;
+    case "--report-tz": opts.reportTz = pickNext(a, i++); break;
+    case "--term-min-support": opts.termMinSupport = pickNext(a, i++); break;
+    case "--completion-webhook": opts.webhookUrl = pickNext(a, i++); break;
+    case "--completion-webhook-timeout": opts.webhookTimeoutMs = Math.max(1000, Number(pickNext(a, i++))); break;
+    case "--webhook-report": opts.webhookReport = true; break;
+    case "--webhook-secret": opts.webhookSecret = pickNext(a, i++); break;
+    case "--event-webhook": opts.eventWebhooks.push(pickNext(a, i++)); break;
     case "--verbose": opts.verbose = true; break;
 
+    case "--daemon": opts.daemon = true; break;
+    case "--interval": opts.interval = pickNext(a, i++); break;
+    case "--jitter": opts.jitter = pickNext(a, i++); break;
+    case "--metrics-port": opts.metricsPort = Number(pickNext(a, i++)); break;
+    case "--metrics-host": opts.metricsHost = pickNext(a, i++); break;
+    case "--metrics-textfile": opts.metricsTextfile = pickNext(a, i++); break;
+
+    case "--status": opts.status = true; break;
+    case "--dry-run": opts.dryRun = true; break;
+    case "--prune-days": opts.pruneDays = Math.max(0, Number(pickNext(a, i++))); break;
+    case "--downsample-hourly-days": opts.downsampleHourlyDays = Math.max(0, Number(pickNext(a, i++))); break;
+    case "--downsample-daily-days": opts.downsampleDailyDays = Math.max(0, Number(pickNext(a, i++))); break;
+    case "--body-retention-days": opts.bodyRetentionDays = Math.max(0, Number(pickNext(a, i++))); break;
+    case "--archive-dir": opts.archiveDir = pickNext(a, i++); break;
+    case "--prune-after-run": opts.pruneAfterRun = true; break;
+    case "--pseudonymize-key": opts.pseudonymizeKey = pickNext(a, i++); break;
+    case "--out": opts.pseudonymizeOut = pickNext(a, i++); break;
+    case "--strip-bodies": opts.stripBodies = true; break;
+    case "--repair": opts.repair = true; break;
+
+    case "--format": opts.exportFormat = pickNext(a, i++).toLowerCase(); break;
+    case "--out-dir": opts.exportDir = pickNext(a, i++); break;
+    case "--tables": opts.exportTables = pickNext(a, i++).split(",").map((t) => t.trim()).filter(Boolean); break;
+    case "--source": opts.serveSource = pickNext(a, i++).toLowerCase(); break;
+    case "--host": opts.serveHost = pickNext(a, i++); break;
+    case "--port": opts.servePort = Number(pickNext(a, i++)); break;
+    case "--columns": {
+      // <table>:<col>,<col>; repeat the flag for more tables
+      const [table, list] = pickNext(a, i++).split(":");
+      opts.exportColumns[table] = (list || "").split(",").map((c) => c.trim()).filter(Boolean);
+      break;
+    }
+
     case "--help":
     case "-h": printHelpAndExit(0); break;
 
@@ -124,16 +268,114 @@ for (let i = 0; i < argv.length; i++) {
       if (a.startsWith("-")) {
         console.error(`Unknown flag: ${a}`);
         printHelpAndExit(2);
+      } else if (!opts.command && COMMANDS.includes(a)) {
+        opts.command = a;
+      } else {
+        console.error(`Unknown command: ${a}`);
+        printHelpAndExit(2);
       }
   }
 }
+opts.command = opts.command || "run";
+
+// Accepts "a,b,c", "a+b c" and "r/a"; dedupes case-insensitively, keeping the first spelling.
+const parseSubredditList = (s) => {
+  const seen = new Set();
+  const out = [];
+  for (const raw of String(s || "").split(/[\s,+]+/)) {
+    const name = raw.replace(/^\/?r\//i, "").trim();
+    if (!name || seen.has(name.toLowerCase())) continue;
+    seen.add(name.toLowerCase());
+    out.push(name);
+  }
+  return out;
+};
 
-if (!opts.clientId || !opts.clientSecret || !opts.refreshToken || !opts.subreddit) {
+opts.subreddits = parseSubredditList(opts.subreddit);
+
+if (opts.command === "run" && (!opts.clientId || !opts.clientSecret || !opts.refreshToken || !opts.subreddits.length)) {
   console.error("Missing required auth or subreddit flags.");
   printHelpAndExit(2);
 }
 
-opts.dbPath = opts.dbPath || (opts.subreddit ? `./data/sqlite/${opts.subreddit}.db` : "./data/sqlite/reddit.db");
+// [json:|discord:|slack:]<url>
+opts.eventWebhooks = opts.eventWebhooks.map((spec) => {
+  const m = spec.match(/^(json|discord|slack):(.+)$/i);
+  return m ? { format: m[1].toLowerCase(), url: m[2] } : { format: "json", url: spec };
+});
+for (const hook of opts.eventWebhooks) {
+  if (!/^https?:\/\//i.test(hook.url)) {
+    console.error(`Invalid event webhook URL: ${hook.url}`);
+    printHelpAndExit(2);
+  }
+}
+
+if (!["text", "json", "markdown", "html"].includes(opts.reportFormat)) {
+  console.error(`Unknown report format: ${opts.reportFormat}`);
+  printHelpAndExit(2);
+}
+try {
+  new Intl.DateTimeFormat("en-US", { timeZone: opts.reportTz });
+} catch {
+  console.error(`Unknown time zone for --report-tz: ${opts.reportTz}`);
+  printHelpAndExit(2);
+}
+if (!/^\d+$/.test(opts.termMinSupport) || Number(opts.termMinSupport) < 1) {
+  console.error(`--term-min-support must be a whole number >= 1, got: ${opts.termMinSupport}`);
+  printHelpAndExit(2);
+}
+opts.termMinSupport = Number(opts.termMinSupport);
+
+if (opts.command === "serve") {
+  if (!["sqlite", "pg"].includes(opts.serveSource) || !Number.isInteger(opts.servePort)) {
+    console.error(`Invalid serve source/port: ${opts.serveSource} ${opts.servePort}`);
+    printHelpAndExit(2);
+  }
+}
+
+if (opts.command === "prune" || opts.pruneAfterRun) {
+  if (!opts.pruneDays && !opts.downsampleHourlyDays && !opts.downsampleDailyDays && !opts.bodyRetentionDays) {
+    console.error("No retention policy: set --prune-days, --downsample-hourly-days, --downsample-daily-days and/or --body-retention-days");
+    printHelpAndExit(2);
+  }
+  if (!["csv", "jsonl"].includes(opts.exportFormat)) {
+    console.error(`Unknown archive format: ${opts.exportFormat}`);
+    printHelpAndExit(2);
+  }
+}
+
+if (opts.pseudonymizeOut && opts.command !== "pseudonymize") {
+  console.error("--out is only used by pseudonymize (export takes --out-dir)");
+  printHelpAndExit(2);
+}
+
+if (opts.command === "pseudonymize") {
+  if (!opts.pseudonymizeKey) {
+    console.error("pseudonymize needs --pseudonymize-key / REDDIT_SCRAPER_PSEUDONYMIZE_KEY");
+    printHelpAndExit(2);
+  }
+  opts.pseudonymizeOut = opts.pseudonymizeOut || opts.dbPath.replace(/(\.db)?$/, "-pseudonymized.db");
+  if (path.resolve(opts.pseudonymizeOut) === path.resolve(opts.dbPath)) {
+    console.error("--out must differ from the source database");
+    printHelpAndExit(2);
+  }
+}
+
+if (opts.command === "export") {
+  const known = ["posts", "comments", "post_snapshots", "comment_snapshots", "revisions", "state_events"];
+  const bad = [...(opts.exportTables || []), ...Object.keys(opts.exportColumns)].filter((t) => !known.includes(t));
+  if (!["csv", "jsonl"].includes(opts.exportFormat) || bad.length) {
+    console.error(bad.length ? `Unknown export table: ${bad.join(", ")}` : `Unknown export format: ${opts.exportFormat}`);
+    printHelpAndExit(2);
+  }
+}
+
+opts.intervalMs = Math.max(10_000, parseDuration(opts.interval));
+opts.jitterMs = opts.jitter != null ? parseDuration(opts.jitter) : Math.floor(opts.intervalMs / 10);
+
+opts.dbPath = opts.dbPath || (opts.subreddits.length ? `./data/sqlite/${opts.subreddits.join("+")}.db` : "./data/sqlite/reddit.db");
+// Next to the db so it lands on the same volume in docker.
+opts.exportDir = opts.exportDir || path.join(path.dirname(opts.dbPath), "export");
 let pgConnected = false;
 
 const parsePgDsn = (dsn) => {
@@ -216,6 +458,64 @@ const commentsSeriesBumpedThisRun = new Set();
 const commentsSeenThisRun = new Set();
 let newRemovalsThisRun = 0;
 let newLocksThisRun = 0;
+let newCommentRemovalsThisRun = 0;
+let newCommentLocksThisRun = 0;
+let stateEventsThisRun = 0;
+let reinstatementsThisRun = 0;
+let unlocksThisRun = 0;
+let moreRequestsThisRun = 0;
+let phaseMs = {};
+let openPhase = null;
+
+// Listings that aggregate other subreddits; their posts are stored under the real subreddit name.
+const META_SUBREDDITS = new Set(["all", "popular"]);
+// Timings are exclusive: time in a nested phase (the sqlite_write/pg_write inside scan, recheck, ...)
+// is taken out of the phase around it, so timings_ms adds up to the run.
+const addPhaseMs = (phase, ms) => {
+  phaseMs[phase] = (phaseMs[phase] || 0) + ms;
+  if (openPhase) openPhase.nestedMs += ms;
+};
+const startPhase = (phase) => {
+  const outer = openPhase;
+  const own = { nestedMs: 0 };
+  const t0 = Date.now();
+  openPhase = own;
+  return () => {
+    const ms = Date.now() - t0;
+    openPhase = outer;
+    phaseMs[phase] = (phaseMs[phase] || 0) + ms - own.nestedMs;
+    if (outer) outer.nestedMs += ms;
+  };
+};
+const timed = async (phase, fn) => {
+  const end = startPhase(phase);
+  try { return await fn(); } finally { end(); }
+};
+
+const subKey = (sub) => String(sub || "").toLowerCase();
+
+const subStats = new Map();
+const statsFor = (sub) => {
+  const k = subKey(sub);
+  if (!subStats.has(k)) {
+    subStats.set(k, {
+      pages: 0,
+      posts_seen: 0,
+      recheck_ids: 0,
+      recheck_post_batches: 0,
+      recheck_post_updates: 0,
+      comment_targets: 0,
+      more_requests: 0,
+      more_comments: 0,
+      incomplete_threads: 0,
+      new_removals: 0,
+      new_locks: 0,
+      new_comment_removals: 0,
+      new_comment_locks: 0,
+    });
+  }
+  return subStats.get(k);
+};
 
 let runWindowStart = 0;
 
@@ -242,57 +542,6 @@ const normTitle = (s) => oneLine(String(s || "").toLowerCase());
 const logv = (...args) => { if (opts.verbose) console.log(...args); };
 const logKV = (obj) => console.log(Object.entries(obj).map(([k, v]) => `${k}=${v}`).join(" | "));
 
-const safeParseJson = (t) => {
-  try {
-    return t ? JSON.parse(t) : [];
-  } catch {
-    return [];
-  }
-};
-
-const appendSeriesString = (prevText, entry, dedupeKeys = [], max = 0, dedupe = true) => {
-  let arr = safeParseJson(prevText);
-
-  if (!dedupe) {
-    arr.push(entry);
-  } else {
-    const eq = (a, b) => {
-      if (!a || !b) return false;
-      return dedupeKeys.every((k) => {
-        const av = a[k]; const bv = b[k];
-        return (av === bv) || (av == null && bv == null);
-      });
-    };
-
-    if (arr.length === 0) {
-      arr.push(entry);
-    } else {
-      const last = arr[arr.length - 1];
-      if (eq(entry, last)) {
-        if (arr.length === 1) {
-          arr.push(entry);
-        } else {
-          const prev = arr[arr.length - 2];
-          if (!eq(prev, last)) {
-            arr.push(entry);
-          } else {
-            arr[arr.length - 1] = entry;
-          }
-        }
-      } else {
-        arr.push(entry);
-      }
-    }
-  }
-
-  if (max > 0 && arr.length > max) {
-    arr = arr.slice(arr.length - max);
-  }
-
-  return JSON.stringify(arr);
-};
-
-
 const fetchWithTimeout = async (url, init = {}, timeoutMs = opts.fetchTimeoutMs) => {
   const ctrl = new AbortController();
   const t = setTimeout(() => ctrl.abort(), timeoutMs);
@@ -319,6 +568,7 @@ const fetchAccessToken = async () => {
     },
     body: form,
   });
+  metricInc("reddit_requests_total", { endpoint: "token", status: String(res.status) });
 
   if (!res.ok) {
     const t = await res.text().catch(() => "");
@@ -339,10 +589,187 @@ const getToken = async () => {
   return fetchAccessToken();
 };
 
+// Prometheus metrics. Counters accumulate for the life of the process (so across daemon cycles);
+// last_run_* gauges describe the most recent cycle.
+const METRIC_PREFIX = "reddit_scraper_";
+const metrics = new Map();
+
+const defineMetric = (name, type, help) => metrics.set(name, { type, help, values: new Map() });
+
+const metricSlot = (name, labels) => {
+  const m = metrics.get(name);
+  const key = JSON.stringify(labels);
+  if (!m.values.has(key)) m.values.set(key, { labels, value: 0 });
+  return m.values.get(key);
+};
+const metricInc = (name, labels = {}, by = 1) => { metricSlot(name, labels).value += by; };
+const metricSet = (name, labels, value) => { metricSlot(name, labels).value = value; };
+
+defineMetric("reddit_requests_total", "counter", "Reddit API responses by endpoint and HTTP status (status=error: no response).");
+defineMetric("reddit_retries_total", "counter", "Reddit API retries by reason.");
+defineMetric("reddit_backoff_seconds_total", "counter", "Time slept in retry backoff.");
+defineMetric("reddit_ratelimit_throttle_seconds_total", "counter", "Time spent waiting on the shared rate-limit budget.");
+defineMetric("reddit_ratelimit_remaining", "gauge", "Last X-Ratelimit-Remaining seen.");
+defineMetric("posts_seen_total", "counter", "Posts read from /new listings.");
+defineMetric("recheck_post_updates_total", "counter", "Posts refreshed through /api/info rechecks.");
+defineMetric("new_removals_total", "counter", "Newly detected removals.");
+defineMetric("new_locks_total", "counter", "Newly detected locks.");
+defineMetric("state_events_total", "counter", "Rows appended to state_events.");
+defineMetric("pg_mirror_failures_total", "counter", "Postgres batch writes that failed (the batch stays in pg_outbox).");
+defineMetric("pg_outbox_pending_rows", "gauge", "Rows waiting in pg_outbox.");
+defineMetric("pg_outbox_parked_batches", "gauge", "pg_outbox batches parked after repeated rejections (re-copy with sync).");
+defineMetric("webhook_deliveries_total", "counter", "Event webhook delivery attempts by result.");
+defineMetric("runs_total", "counter", "Completed scrape cycles by result.");
+defineMetric("last_run_duration_seconds", "gauge", "Duration of the last cycle.");
+defineMetric("last_run_timestamp_seconds", "gauge", "End time of the last cycle.");
+defineMetric("last_run_exit_code", "gauge", "Exit code of the last cycle.");
+defineMetric("last_run_phase_seconds", "gauge", "Time per phase in the last cycle.");
+
+const redditEndpoint = (url) => {
+  const p = new URL(url).pathname;
+  if (/\/new\.json$/.test(p)) return "new";
+  if (p === "/api/info") return "info";
+  if (p === "/api/morechildren") return "morechildren";
+  if (p.startsWith("/comments/")) return "comments";
+  return "other";
+};
+
+const renderMetrics = () => {
+  const esc = (v) => String(v).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+  const out = [];
+  for (const [name, m] of metrics) {
+    out.push(`# HELP ${METRIC_PREFIX}${name} ${m.help}`, `# TYPE ${METRIC_PREFIX}${name} ${m.type}`);
+    for (const { labels, value } of m.values.values()) {
+      const ls = Object.entries(labels).map(([k, v]) => `${k}="${esc(v)}"`).join(",");
+      out.push(`${METRIC_PREFIX}${name}${ls ? `{${ls}}` : ""} ${Number.isFinite(value) ? value : 0}`);
+    }
+  }
+  return out.join("\n") + "\n";
+};
+
+const recordRunMetrics = ({ exitCode, durationMs, perSubreddit, outboxRows, outboxParked }) => {
+  for (const [sub, st] of Object.entries(perSubreddit)) {
+    const subreddit = subKey(sub);
+    metricInc("posts_seen_total", { subreddit }, st.posts_seen);
+    metricInc("recheck_post_updates_total", { subreddit }, st.recheck_post_updates);
+    metricInc("new_removals_total", { subreddit, thing: "post" }, st.new_removals);
+    metricInc("new_removals_total", { subreddit, thing: "comment" }, st.new_comment_removals);
+    metricInc("new_locks_total", { subreddit, thing: "post" }, st.new_locks);
+    metricInc("new_locks_total", { subreddit, thing: "comment" }, st.new_comment_locks);
+  }
+  metricInc("state_events_total", {}, stateEventsThisRun);
+  metricInc("runs_total", { result: exitCode ? "error" : "ok" });
+  metricSet("pg_outbox_pending_rows", {}, outboxRows);
+  metricSet("pg_outbox_parked_batches", {}, outboxParked);
+  metricSet("last_run_duration_seconds", {}, durationMs / 1000);
+  metricSet("last_run_timestamp_seconds", {}, nowSec());
+  metricSet("last_run_exit_code", {}, exitCode);
+  for (const [phase, ms] of Object.entries(phaseMs)) metricSet("last_run_phase_seconds", { phase }, ms / 1000);
+  if (rateLimit.remaining != null) metricSet("reddit_ratelimit_remaining", {}, rateLimit.remaining);
+};
+
+// node_exporter's textfile collector reads *.prom files; write-then-rename so it never sees half a file.
+const writeMetricsTextfile = () => {
+  if (!opts.metricsTextfile) return;
+  try {
+    fs.mkdirSync(path.dirname(path.resolve(opts.metricsTextfile)), { recursive: true });
+    const tmp = `${opts.metricsTextfile}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, renderMetrics());
+    fs.renameSync(tmp, opts.metricsTextfile);
+  } catch (e) {
+    console.error(`[metrics] textfile write failed: ${e.message || e}`);
+  }
+};
+
+const startMetricsServer = async () => {
+  const server = http.createServer((req, res) => {
+    if (new URL(req.url, "http://localhost").pathname !== "/metrics") { res.writeHead(404); res.end(); return; }
+    res.writeHead(200, { "Content-Type": "text/plain; version=0.0.4; charset=utf-8" });
+    res.end(renderMetrics());
+  });
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(opts.metricsPort, opts.metricsHost, resolve);
+  });
+  console.log(`[metrics] http://${opts.metricsHost}:${opts.metricsPort}/metrics`);
+  return server;
+};
+
+// Shared request budget. Reddit reports it per window in X-Ratelimit-Used/Remaining/Reset (seconds).
+// Callers take a slot in FIFO order: free while more than a quarter of the window is left, evenly
+// spaced over the rest of the window below that, and held until reset once only the reserve remains.
+const rateLimit = {
+  used: null,
+  remaining: null,
+  resetAt: 0,
+  lastAt: 0,
+  requests: 0,
+  throttledMs: 0,
+  queue: Promise.resolve(),
+};
+
+const acquireRequestSlot = () => {
+  const turn = rateLimit.queue.then(async () => {
+    let now = Date.now();
+    if (rateLimit.remaining != null && now >= rateLimit.resetAt) {
+      rateLimit.remaining = null;
+      rateLimit.used = null;
+    }
+
+    if (rateLimit.remaining != null) {
+      const spendable = rateLimit.remaining - opts.ratelimitReserve;
+      const windowTotal = (rateLimit.used || 0) + rateLimit.remaining;
+      let waitMs = 0;
+      if (spendable <= 0) {
+        waitMs = rateLimit.resetAt - now + 250;
+      } else if (rateLimit.remaining < windowTotal / 4) {
+        waitMs = rateLimit.lastAt + (rateLimit.resetAt - now) / spendable - now;
+      }
+      if (waitMs > 0) {
+        logv(`[ratelimit] remaining=${rateLimit.remaining} reset_in=${Math.round((rateLimit.resetAt - now) / 1000)}s; waiting ${Math.round(waitMs)}ms`);
+        rateLimit.throttledMs += waitMs;
+        metricInc("reddit_ratelimit_throttle_seconds_total", {}, waitMs / 1000);
+        await sleep(waitMs);
+        now = Date.now();
+        if (now >= rateLimit.resetAt) { rateLimit.remaining = null; rateLimit.used = null; }
+      }
+    }
+
+    if (rateLimit.remaining != null) rateLimit.remaining--;
+    rateLimit.lastAt = now;
+    rateLimit.requests++;
+  });
+  rateLimit.queue = turn.catch(() => {});
+  return turn;
+};
+
+const noteRateLimitHeaders = (res) => {
+  const remaining = Number(res.headers.get("x-ratelimit-remaining"));
+  const used = Number(res.headers.get("x-ratelimit-used"));
+  const reset = Number(res.headers.get("x-ratelimit-reset"));
+  if (!res.headers.has("x-ratelimit-remaining") || !Number.isFinite(remaining)) return;
+
+  const resetAt = Date.now() + (Number.isFinite(reset) ? reset : 60) * 1000;
+  // Responses to concurrent requests arrive out of order; within one window the lowest count wins.
+  const sameWindow = rateLimit.remaining != null && Math.abs(resetAt - rateLimit.resetAt) < 5000;
+  rateLimit.remaining = sameWindow ? Math.min(rateLimit.remaining, Math.floor(remaining)) : Math.floor(remaining);
+  rateLimit.used = Number.isFinite(used) ? used : rateLimit.used;
+  rateLimit.resetAt = resetAt;
+};
+
+const rateLimitSummary = () => ({
+  requests: rateLimit.requests,
+  used: rateLimit.used,
+  remaining: rateLimit.remaining,
+  reset_in_s: rateLimit.resetAt ? Math.max(0, Math.round((rateLimit.resetAt - Date.now()) / 1000)) : null,
+  throttled_ms: Math.round(rateLimit.throttledMs),
+});
+
 const redditJson = async (url, { method = "GET", body = null } = {}, retry = 0, maxRetries = 6) => {
-  const backoff = Math.min(20000, 500 * 2 ** retry) + Math.floor(Math.random() * 400);
+  let backoff = Math.min(20000, 500 * 2 ** retry) + Math.floor(Math.random() * 400);
 
   const token = await getToken();
+  await acquireRequestSlot();
   let res;
   try {
     res = await fetchWithTimeout(url, {
@@ -356,13 +783,18 @@ const redditJson = async (url, { method = "GET", body = null } = {}, retry = 0,
       body,
     });
   } catch (e) {
+    metricInc("reddit_requests_total", { endpoint: redditEndpoint(url), status: "error" });
     if (retry < maxRetries) {
       if (opts.verbose) console.warn(`Request failed (${e.name || e.message}); retry ${retry + 1}/${maxRetries} in ${backoff}ms: ${url}`);
+      metricInc("reddit_retries_total", { reason: "network" });
+      metricInc("reddit_backoff_seconds_total", {}, backoff / 1000);
       await sleep(backoff);
       return redditJson(url, { method, body }, retry + 1);
     }
     throw e;
   }
+  noteRateLimitHeaders(res);
+  metricInc("reddit_requests_total", { endpoint: redditEndpoint(url), status: String(res.status) });
 
   if (res.status === 401 || res.status === 403) {
     let text = "";
@@ -370,14 +802,22 @@ const redditJson = async (url, { method = "GET", body = null } = {}, retry = 0,
     if (/invalid|expired|unauthorized|not\s*authenticated/i.test(text)) {
       await fetchAccessToken();
       if (retry <= maxRetries) {
+        metricInc("reddit_retries_total", { reason: "auth" });
         return redditJson(url, { method, body }, retry + 1);
       }
     }
   }
 
   if (res.status === 429 || res.status >= 500) {
+    if (res.status === 429) {
+      const retryAfter = Number(res.headers.get("retry-after"));
+      if (Number.isFinite(retryAfter) && retryAfter > 0) backoff = Math.max(backoff, retryAfter * 1000);
+      else if (rateLimit.remaining === 0) backoff = Math.max(backoff, rateLimit.resetAt - Date.now());
+    }
     if (retry < maxRetries) {
       if (opts.verbose) console.warn(`HTTP ${res.status} on ${url}; retry ${retry + 1}/${maxRetries} in ${backoff}ms`);
+      metricInc("reddit_retries_total", { reason: res.status === 429 ? "429" : "5xx" });
+      metricInc("reddit_backoff_seconds_total", {}, backoff / 1000);
       await sleep(backoff);
       return redditJson(url, { method, body }, retry + 1);
     }
@@ -390,12 +830,40 @@ const redditJson = async (url, { method = "GET", body = null } = {}, retry = 0,
   return res.json();
 };
 
-const sqlite = new Database(opts.dbPath);
-sqlite.pragma(`journal_mode = DELETE`);
-sqlite.pragma(`synchronous = NORMAL`);
+// serve, export and `migrate --status/--dry-run` / `prune --dry-run` only ever read; they must not create or migrate
+// the database they are pointed at.
+const sqliteReadOnly = ["serve", "export"].includes(opts.command)
+  || (opts.command === "migrate" && (opts.status || opts.dryRun)) || (opts.command === "prune" && opts.dryRun);
+if (opts.command === "serve" && opts.serveSource === "sqlite" && !fs.existsSync(opts.dbPath)) {
+  console.error(`[serve] no database at ${opts.dbPath}`);
+  process.exit(2);
+}
+const sqlite = !sqliteReadOnly ? new Database(opts.dbPath)
+  : fs.existsSync(opts.dbPath) ? new Database(opts.dbPath, { readonly: true, fileMustExist: true })
+    : new Database(":memory:");
+if (!sqliteReadOnly) {
+  // WAL: each page/thread batch commits without rewriting the main file, and readers (serve, the sqlite3 CLI,
+  // export) don't block the scraper's writes or see them half-done.
+  sqlite.pragma(`journal_mode = WAL`);
+  sqlite.pragma(`synchronous = NORMAL`);
+}
 sqlite.pragma(`busy_timeout = 5000`);
 
-sqlite.exec(`
+// Versioned schema for both backends. Append new entries only; never edit an applied one.
+// Each entry runs once per database inside a transaction and is recorded in schema_migrations.
+// `sqlite` / `pg` are SQL text or a function of the open connection (for checks SQL cannot express).
+const addSqliteColumns = (table, cols) => {
+  const have = new Set(sqlite.prepare(`PRAGMA table_info(${table})`).all().map((c) => c.name));
+  for (const [name, type] of Object.entries(cols)) {
+    if (!have.has(name)) sqlite.exec(`ALTER TABLE ${table} ADD COLUMN ${name} ${type}`);
+  }
+};
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: "baseline posts/comments",
+    sqlite: `
 CREATE TABLE IF NOT EXISTS posts (
   id TEXT PRIMARY KEY,
   name TEXT,
@@ -422,7 +890,7 @@ CREATE TABLE IF NOT EXISTS posts (
   removed_at INTEGER,
   locked_at INTEGER,
   last_checked INTEGER,
-  score_series TEXT
+  score_series TEXT       -- legacy JSON series; exploded into post_snapshots by migration 4
 );
 CREATE INDEX IF NOT EXISTS idx_posts_created ON posts(created_utc);
 CREATE INDEX IF NOT EXISTS idx_posts_flair ON posts(link_flair_text);
@@ -443,10 +911,467 @@ CREATE TABLE IF NOT EXISTS comments (
   is_submitter INTEGER,
   collapsed_reason TEXT,
   last_checked INTEGER,
-  score_series TEXT       -- JSON array of {ts, score}
+  score_series TEXT       -- legacy JSON series; exploded into comment_snapshots by migration 4
 );
 CREATE INDEX IF NOT EXISTS idx_comments_post ON comments(post_id);
-`);
+`,
+    pg: `
+CREATE TABLE IF NOT EXISTS posts (
+  id TEXT PRIMARY KEY,
+  name TEXT,
+  subreddit TEXT,
+  title TEXT,
+  title_norm TEXT,
+  author TEXT,
+  distinguished TEXT,
+  created_utc BIGINT,
+  score INT,
+  upvote_ratio DOUBLE PRECISION,
+  num_comments INT,
+  url TEXT,
+  external_url TEXT,
+  selftext TEXT,
+  domain TEXT,
+  link_flair_text TEXT,
+  is_self BOOLEAN,
+  crosspost_parent TEXT,
+  edited BIGINT,
+  removed_by_category TEXT,
+  locked BOOLEAN,
+  first_seen BIGINT,
+  removed_at BIGINT,
+  locked_at BIGINT,
+  last_checked BIGINT,
+  score_series JSONB
+);
+CREATE INDEX IF NOT EXISTS idx_posts_created ON posts(created_utc);
+CREATE INDEX IF NOT EXISTS idx_posts_flair ON posts(link_flair_text);
+CREATE INDEX IF NOT EXISTS idx_posts_domain ON posts(domain);
+
+CREATE TABLE IF NOT EXISTS comments (
+  id TEXT PRIMARY KEY,
+  name TEXT,
+  post_id TEXT,
+  parent_id TEXT,
+  author TEXT,
+  body TEXT,
+  score INT,
+  created_utc BIGINT,
+  edited BIGINT,
+  removed_by_category TEXT,
+  distinguished TEXT,
+  is_submitter BOOLEAN,
+  collapsed_reason TEXT,
+  last_checked BIGINT,
+  score_series JSONB
+);
+CREATE INDEX IF NOT EXISTS idx_comments_post ON comments(post_id);
+`,
+  },
+  {
+    version: 2,
+    name: "comment lock/removal transitions",
+    sqlite: () => {
+      addSqliteColumns("comments", { locked: "INTEGER", first_seen: "INTEGER", removed_at: "INTEGER", locked_at: "INTEGER" });
+      // Best guess for comments stored before first_seen existed: the oldest point of their series.
+      sqlite.exec(`UPDATE comments SET first_seen = json_extract(score_series, '$[0].ts') WHERE first_seen IS NULL AND json_valid(score_series)`);
+    },
+    pg: `
+ALTER TABLE comments ADD COLUMN IF NOT EXISTS locked BOOLEAN;
+ALTER TABLE comments ADD COLUMN IF NOT EXISTS first_seen BIGINT;
+ALTER TABLE comments ADD COLUMN IF NOT EXISTS removed_at BIGINT;
+ALTER TABLE comments ADD COLUMN IF NOT EXISTS locked_at BIGINT;
+UPDATE comments SET first_seen = (score_series->0->>'ts')::bigint
+ WHERE first_seen IS NULL AND jsonb_typeof(score_series) = 'array' AND jsonb_array_length(score_series) > 0;
+`,
+  },
+  {
+    version: 3,
+    name: "state_events log",
+    sqlite: `
+CREATE TABLE IF NOT EXISTS state_events (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  thing_type TEXT NOT NULL,   -- 'post' | 'comment'
+  thing_id TEXT NOT NULL,
+  post_id TEXT,
+  subreddit TEXT,
+  field TEXT NOT NULL,
+  old_value TEXT,
+  new_value TEXT,
+  observed_at INTEGER NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_state_events_thing ON state_events(thing_id);
+CREATE INDEX IF NOT EXISTS idx_state_events_post ON state_events(post_id);
+CREATE INDEX IF NOT EXISTS idx_state_events_observed ON state_events(observed_at);
+`,
+    pg: `
+CREATE TABLE IF NOT EXISTS state_events (
+  id BIGINT PRIMARY KEY,      -- generated by PG since v12
+  thing_type TEXT NOT NULL,
+  thing_id TEXT NOT NULL,
+  post_id TEXT,
+  subreddit TEXT,
+  field TEXT NOT NULL,
+  old_value TEXT,
+  new_value TEXT,
+  observed_at BIGINT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_state_events_thing ON state_events(thing_id);
+CREATE INDEX IF NOT EXISTS idx_state_events_post ON state_events(post_id);
+CREATE INDEX IF NOT EXISTS idx_state_events_observed ON state_events(observed_at);
+`,
+  },
+  {
+    version: 4,
+    name: "snapshot tables (explodes score_series)",
+    sqlite: `
+CREATE TABLE IF NOT EXISTS post_snapshots (
+  post_id TEXT NOT NULL,
+  ts INTEGER NOT NULL,
+  score INTEGER,
+  upvote_ratio REAL,
+  num_comments INTEGER,
+  locked INTEGER,
+  removed INTEGER,
+  PRIMARY KEY (post_id, ts)
+) WITHOUT ROWID;
+CREATE INDEX IF NOT EXISTS idx_post_snapshots_ts ON post_snapshots(ts);
+
+CREATE TABLE IF NOT EXISTS comment_snapshots (
+  comment_id TEXT NOT NULL,
+  ts INTEGER NOT NULL,
+  score INTEGER,
+  PRIMARY KEY (comment_id, ts)
+) WITHOUT ROWID;
+CREATE INDEX IF NOT EXISTS idx_comment_snapshots_ts ON comment_snapshots(ts);
+
+INSERT OR IGNORE INTO post_snapshots (post_id, ts, score, upvote_ratio, num_comments, locked, removed)
+SELECT p.id, json_extract(j.value, '$.ts'), json_extract(j.value, '$.score'), json_extract(j.value, '$.upvote_ratio'),
+       json_extract(j.value, '$.num_comments'), json_extract(j.value, '$.locked'), json_extract(j.value, '$.removed')
+FROM posts p, json_each(p.score_series) j
+WHERE p.score_series IS NOT NULL AND json_valid(p.score_series) AND json_extract(j.value, '$.ts') IS NOT NULL;
+INSERT OR IGNORE INTO comment_snapshots (comment_id, ts, score)
+SELECT c.id, json_extract(j.value, '$.ts'), json_extract(j.value, '$.score')
+FROM comments c, json_each(c.score_series) j
+WHERE c.score_series IS NOT NULL AND json_valid(c.score_series) AND json_extract(j.value, '$.ts') IS NOT NULL;
+UPDATE posts SET score_series = NULL WHERE score_series IS NOT NULL;
+UPDATE comments SET score_series = NULL WHERE score_series IS NOT NULL;
+`,
+    pg: `
+CREATE TABLE IF NOT EXISTS post_snapshots (
+  post_id TEXT NOT NULL,
+  ts BIGINT NOT NULL,
+  score INT,
+  upvote_ratio DOUBLE PRECISION,
+  num_comments INT,
+  locked BOOLEAN,
+  removed BOOLEAN,
+  PRIMARY KEY (post_id, ts)
+);
+CREATE INDEX IF NOT EXISTS idx_post_snapshots_ts ON post_snapshots(ts);
+
+CREATE TABLE IF NOT EXISTS comment_snapshots (
+  comment_id TEXT NOT NULL,
+  ts BIGINT NOT NULL,
+  score INT,
+  PRIMARY KEY (comment_id, ts)
+);
+CREATE INDEX IF NOT EXISTS idx_comment_snapshots_ts ON comment_snapshots(ts);
+
+INSERT INTO post_snapshots (post_id, ts, score, upvote_ratio, num_comments, locked, removed)
+SELECT p.id, (e->>'ts')::bigint, (e->>'score')::int, (e->>'upvote_ratio')::double precision,
+       (e->>'num_comments')::int, (e->>'locked')::boolean, (e->>'removed')::boolean
+FROM posts p, jsonb_array_elements(p.score_series) e
+WHERE jsonb_typeof(p.score_series) = 'array' AND e ? 'ts'
+ON CONFLICT DO NOTHING;
+INSERT INTO comment_snapshots (comment_id, ts, score)
+SELECT c.id, (e->>'ts')::bigint, (e->>'score')::int
+FROM comments c, jsonb_array_elements(c.score_series) e
+WHERE jsonb_typeof(c.score_series) = 'array' AND e ? 'ts'
+ON CONFLICT DO NOTHING;
+UPDATE posts SET score_series = NULL WHERE score_series IS NOT NULL;
+UPDATE comments SET score_series = NULL WHERE score_series IS NOT NULL;
+`,
+  },
+  {
+    version: 5,
+    name: "pg_outbox (sqlite only)",
+    sqlite: `
+CREATE TABLE IF NOT EXISTS pg_outbox (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  created_at INTEGER NOT NULL,
+  row_count INTEGER NOT NULL,
+  payload TEXT NOT NULL,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  last_attempt INTEGER
+);
+`,
+    // Postgres only records the version so both backends stay on the same numbering.
+    pg: null,
+  },
+  {
+    version: 6,
+    name: "webhook_deliveries (sqlite only)",
+    sqlite: `
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  url TEXT NOT NULL,
+  format TEXT NOT NULL,
+  event TEXT NOT NULL,
+  payload TEXT NOT NULL,
+  created_at INTEGER NOT NULL,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT
+);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(next_attempt_at);
+`,
+    pg: null,
+  },
+  {
+    version: 7,
+    name: "comment body_state",
+    sqlite: () => {
+      addSqliteColumns("comments", { body_state: "TEXT" });
+      sqlite.exec(`UPDATE comments SET body_state = CASE body WHEN '[removed]' THEN 'removed' ELSE 'deleted' END WHERE body IN ('[removed]', '[deleted]')`);
+    },
+    pg: `
+ALTER TABLE comments ADD COLUMN IF NOT EXISTS body_state TEXT;
+UPDATE comments SET body_state = CASE body WHEN '[removed]' THEN 'removed' ELSE 'deleted' END WHERE body IN ('[removed]', '[deleted]');
+`,
+  },
+  {
+    version: 8,
+    name: "thread_coverage (sqlite only)",
+    sqlite: `
+CREATE TABLE IF NOT EXISTS thread_coverage (
+  post_id TEXT PRIMARY KEY,
+  fetched INTEGER NOT NULL,       -- distinct comments seen in the latest fetch of the thread
+  num_comments INTEGER,           -- reddit's count at that time (includes removed/deleted)
+  more_expanded INTEGER NOT NULL, -- /api/morechildren requests spent on it
+  more_pending INTEGER NOT NULL,  -- comment ids still behind unexpanded "more" stubs
+  checked_at INTEGER NOT NULL
+);
+`,
+    pg: null,
+  },
+  {
+    version: 9,
+    name: "revisions",
+    sqlite: `
+CREATE TABLE IF NOT EXISTS revisions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  thing_type TEXT NOT NULL,   -- 'post' | 'comment'
+  thing_id TEXT NOT NULL,
+  post_id TEXT,
+  field TEXT NOT NULL,        -- 'title' | 'selftext' | 'body'
+  content TEXT,
+  edited INTEGER,             -- reddit's edited timestamp when this version was seen
+  observed_at INTEGER NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_revisions_thing ON revisions(thing_id);
+CREATE INDEX IF NOT EXISTS idx_revisions_post ON revisions(post_id);
+`,
+    pg: `
+CREATE TABLE IF NOT EXISTS revisions (
+  id BIGINT PRIMARY KEY,      -- generated by PG since v13
+  thing_type TEXT NOT NULL,
+  thing_id TEXT NOT NULL,
+  post_id TEXT,
+  field TEXT NOT NULL,
+  content TEXT,
+  edited BIGINT,
+  observed_at BIGINT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_revisions_thing ON revisions(thing_id);
+CREATE INDEX IF NOT EXISTS idx_revisions_post ON revisions(post_id);
+`,
+  },
+  {
+    version: 10,
+    name: "flair_history view",
+    sqlite: `
+CREATE VIEW IF NOT EXISTS flair_history AS
+SELECT thing_id AS post_id, subreddit, old_value AS from_flair, new_value AS to_flair, observed_at
+FROM state_events WHERE thing_type = 'post' AND field = 'link_flair_text';
+`,
+    pg: `
+CREATE OR REPLACE VIEW flair_history AS
+SELECT thing_id AS post_id, subreddit, old_value AS from_flair, new_value AS to_flair, observed_at
+FROM state_events WHERE thing_type = 'post' AND field = 'link_flair_text';
+`,
+  },
+  {
+    version: 11,
+    name: "dataset_meta (sqlite only)",
+    sqlite: `
+CREATE TABLE IF NOT EXISTS dataset_meta (
+  key TEXT PRIMARY KEY,
+  value TEXT
+);
+`,
+    pg: null,
+  },
+  {
+    // Several SQLite files can mirror into one Postgres, so its rows can't reuse SQLite rowids:
+    // PG numbers events itself and dedupes on what the event is.
+    version: 12,
+    name: "state_events natural key",
+    sqlite: `
+CREATE INDEX IF NOT EXISTS idx_state_events_natural
+  ON state_events(thing_type, thing_id, field, observed_at, COALESCE(new_value, ''));
+`,
+    pg: `
+DELETE FROM state_events a USING state_events b
+WHERE a.id > b.id AND a.thing_type = b.thing_type AND a.thing_id = b.thing_id AND a.field = b.field
+  AND a.observed_at = b.observed_at AND COALESCE(a.new_value, '') = COALESCE(b.new_value, '');
+CREATE SEQUENCE IF NOT EXISTS state_events_id_seq OWNED BY state_events.id;
+SELECT setval('state_events_id_seq', COALESCE((SELECT MAX(id) FROM state_events), 0) + 1, false);
+ALTER TABLE state_events ALTER COLUMN id SET DEFAULT nextval('state_events_id_seq');
+CREATE UNIQUE INDEX IF NOT EXISTS idx_state_events_natural
+  ON state_events(thing_type, thing_id, field, observed_at, (COALESCE(new_value, '')));
+`,
+  },
+  {
+    // Same as v12 for revisions: one version of a field per thing and observation time.
+    version: 13,
+    name: "revisions natural key",
+    sqlite: `
+CREATE INDEX IF NOT EXISTS idx_revisions_natural ON revisions(thing_type, thing_id, field, observed_at);
+`,
+    pg: `
+DELETE FROM revisions a USING revisions b
+WHERE a.id > b.id AND a.thing_type = b.thing_type AND a.thing_id = b.thing_id AND a.field = b.field
+  AND a.observed_at = b.observed_at;
+CREATE SEQUENCE IF NOT EXISTS revisions_id_seq OWNED BY revisions.id;
+SELECT setval('revisions_id_seq', COALESCE((SELECT MAX(id) FROM revisions), 0) + 1, false);
+ALTER TABLE revisions ALTER COLUMN id SET DEFAULT nextval('revisions_id_seq');
+CREATE UNIQUE INDEX IF NOT EXISTS idx_revisions_natural ON revisions(thing_type, thing_id, field, observed_at);
+`,
+  },
+  {
+    // Postgres records which pseudonym key (NULL: raw names) its rows were written with. Mirrors that already
+    // hold posts predate pseudonymization and are raw; empty ones are claimed by the first scraper that connects.
+    version: 14,
+    name: "dataset_meta in postgres",
+    sqlite: `
+CREATE TABLE IF NOT EXISTS dataset_meta (
+  key TEXT PRIMARY KEY,
+  value TEXT
+);
+`,
+    pg: `
+CREATE TABLE IF NOT EXISTS dataset_meta (
+  key TEXT PRIMARY KEY,
+  value TEXT
+);
+INSERT INTO dataset_meta (key, value) SELECT 'pseudonym_key', NULL WHERE EXISTS (SELECT 1 FROM posts)
+ON CONFLICT (key) DO NOTHING;
+`,
+  },
+];
+
+const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+const SQLITE_MIGRATIONS_TABLE = `
+CREATE TABLE IF NOT EXISTS schema_migrations (
+  version INTEGER PRIMARY KEY,
+  name TEXT NOT NULL,
+  applied_at INTEGER NOT NULL
+)`;
+const PG_MIGRATIONS_TABLE = `
+CREATE TABLE IF NOT EXISTS schema_migrations (
+  version INT PRIMARY KEY,
+  name TEXT NOT NULL,
+  applied_at BIGINT NOT NULL
+)`;
+// Serializes migrations when several scrapers share one Postgres database.
+const PG_MIGRATION_LOCK = 727_001;
+
+const newerThanCodeError = (backend, version) =>
+  new Error(`${backend} schema is at v${version}, newer than this build (v${SCHEMA_VERSION}); refusing to run. Upgrade the scraper.`);
+
+const sqliteAppliedMigrations = () => {
+  const exists = sqlite.prepare(`SELECT 1 FROM sqlite_master WHERE type='table' AND name='schema_migrations'`).get();
+  return exists ? sqlite.prepare(`SELECT version, name, applied_at FROM schema_migrations ORDER BY version`).all() : [];
+};
+
+const pgAppliedMigrations = async (client) => {
+  const { rows } = await client.query(`SELECT to_regclass('public.schema_migrations') AS t`);
+  if (!rows[0].t) return [];
+  const res = await client.query(`SELECT version, name, applied_at FROM schema_migrations ORDER BY version`);
+  return res.rows.map((r) => ({ version: Number(r.version), name: r.name, applied_at: Number(r.applied_at) }));
+};
+
+const pendingMigrations = (applied) => {
+  const done = new Set(applied.map((m) => m.version));
+  return MIGRATIONS.filter((m) => !done.has(m.version));
+};
+
+const assertNotNewer = (backend, applied) => {
+  const top = applied.length ? applied[applied.length - 1].version : 0;
+  if (top > SCHEMA_VERSION) throw newerThanCodeError(backend, top);
+};
+
+const migrateSqlite = ({ dryRun = false } = {}) => {
+  const applied = sqliteAppliedMigrations();
+  assertNotNewer("sqlite", applied);
+  const pending = pendingMigrations(applied);
+  if (dryRun) return pending;
+
+  sqlite.exec(SQLITE_MIGRATIONS_TABLE);
+  for (const m of pending) {
+    sqlite.transaction(() => {
+      if (typeof m.sqlite === "function") m.sqlite();
+      else sqlite.exec(m.sqlite);
+      sqlite.prepare(`INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)`).run(m.version, m.name, nowSec());
+    })();
+    console.log(`[migrate] sqlite: applied v${m.version} ${m.name}`);
+  }
+  return pending;
+};
+
+const migratePg = async (client, { dryRun = false } = {}) => {
+  const applied = await pgAppliedMigrations(client);
+  assertNotNewer("postgres", applied);
+  const pending = pendingMigrations(applied);
+  if (dryRun || !pending.length) return pending;
+
+  for (const m of pending) {
+    await client.query("BEGIN");
+    try {
+      // Lock first: concurrent CREATE TABLE IF NOT EXISTS can still collide on the catalog.
+      await client.query(`SELECT pg_advisory_xact_lock($1)`, [PG_MIGRATION_LOCK]);
+      await client.query(PG_MIGRATIONS_TABLE);
+      const again = await client.query(`SELECT 1 FROM schema_migrations WHERE version = $1`, [m.version]);
+      if (!again.rowCount) {
+        if (typeof m.pg === "function") await m.pg(client);
+        else if (m.pg) await client.query(m.pg);
+        await client.query(`INSERT INTO schema_migrations (version, name, applied_at) VALUES ($1, $2, $3)`, [m.version, m.name, nowSec()]);
+        console.log(`[migrate] postgres: applied v${m.version} ${m.name}`);
+      }
+      await client.query("COMMIT");
+    } catch (e) {
+      await client.query("ROLLBACK").catch(() => {});
+      throw new Error(`postgres migration v${m.version} (${m.name}) failed: ${e.message || e}`);
+    }
+  }
+  return pending;
+};
+
+// Statements are prepared on first use so that nothing touches the schema before migrations ran
+// (and `migrate --status` works on databases the current statements would not compile against).
+const lazyStatement = (sql) => {
+  let st = null;
+  const prep = () => (st ||= sqlite.prepare(sql));
+  return {
+    get: (...a) => prep().get(...a),
+    all: (...a) => prep().all(...a),
+    run: (...a) => prep().run(...a),
+    iterate: (...a) => prep().iterate(...a),
+  };
+};
 
 let pg = null;
 const initPg = async () => {
@@ -514,81 +1439,45 @@ const initPg = async () => {
     }
   }
 
-  await client.query(`
-CREATE TABLE IF NOT EXISTS posts (
-  id TEXT PRIMARY KEY,
-  name TEXT,
-  subreddit TEXT,
-  title TEXT,
-  title_norm TEXT,
-  author TEXT,
-  distinguished TEXT,
-  created_utc BIGINT,
-  score INT,
-  upvote_ratio DOUBLE PRECISION,
-  num_comments INT,
-  url TEXT,
-  external_url TEXT,
-  selftext TEXT,
-  domain TEXT,
-  link_flair_text TEXT,
-  is_self BOOLEAN,
-  crosspost_parent TEXT,
-  edited BIGINT,
-  removed_by_category TEXT,
-  locked BOOLEAN,
-  first_seen BIGINT,
-  removed_at BIGINT,
-  locked_at BIGINT,
-  last_checked BIGINT,
-  score_series JSONB
-);
-CREATE INDEX IF NOT EXISTS idx_posts_created ON posts(created_utc);
-CREATE INDEX IF NOT EXISTS idx_posts_flair ON posts(link_flair_text);
-CREATE INDEX IF NOT EXISTS idx_posts_domain ON posts(domain);
+  await migratePg(client);
+  try {
+    await checkPgAuthorMode(client);
+  } catch (e) {
+    if (pg && pg !== client) await pg.end().catch(() => {});
+    await client.end().catch(() => {});
+    pg = null;
+    throw e;
+  }
 
-CREATE TABLE IF NOT EXISTS comments (
-  id TEXT PRIMARY KEY,
-  name TEXT,
-  post_id TEXT,
-  parent_id TEXT,
-  author TEXT,
-  body TEXT,
-  score INT,
-  created_utc BIGINT,
-  edited BIGINT,
-  removed_by_category TEXT,
-  distinguished TEXT,
-  is_submitter BOOLEAN,
-  collapsed_reason TEXT,
-  last_checked BIGINT,
-  score_series JSONB
-);
-CREATE INDEX IF NOT EXISTS idx_comments_post ON comments(post_id);
-`);
+  // ensurePgDatabase hands back its own connection; keep only one per process.
+  if (pg && pg !== client) await pg.end().catch(() => {});
+  client.on("error", (e) => {
+    console.error(`[storage] PG connection lost: ${e.message || e}`);
+    if (pg === client) { pg = null; pgConnected = false; }
+  });
 
   pg = client;
   pgConnected = true;
   console.log("[storage] Postgres connected and schema ensured");
 };
 
-const selectPostByIdSql = sqlite.prepare(
-  `SELECT removed_by_category, locked, first_seen, removed_at, locked_at, score_series FROM posts WHERE id=?`
+const selectPostByIdSql = lazyStatement(
+  `SELECT removed_by_category, locked, link_flair_text, distinguished, first_seen, removed_at, locked_at, title, selftext, edited FROM posts WHERE id=?`
 );
-const selectCommentByIdSql = sqlite.prepare(
-  `SELECT score_series FROM comments WHERE id=?`
+const selectCommentByIdSql = lazyStatement(
+  `SELECT removed_by_category, body_state, locked, distinguished, collapsed_reason, first_seen, removed_at, locked_at, body, edited FROM comments WHERE id=?`
 );
 
-const upsertPostSql = sqlite.prepare(`
+const upsertPostSql = lazyStatement(`
 INSERT INTO posts (
   id,name,subreddit,title,title_norm,author,distinguished,created_utc,score,upvote_ratio,num_comments,
   url,external_url,selftext,domain,link_flair_text,is_self,crosspost_parent,
-  edited,removed_by_category,locked,first_seen,removed_at,locked_at,last_checked,score_series
+  edited,removed_by_category,locked,first_seen,removed_at,locked_at,last_checked
 )
 VALUES (
   @id,@name,@subreddit,@title,@title_norm,@author,@distinguished,@created_utc,@score,@upvote_ratio,@num_comments,
   @url,@external_url,@selftext,@domain,@link_flair_text,@is_self,@crosspost_parent,
-  @edited,@removed_by_category,@locked,@first_seen,@removed_at,@locked_at,@last_checked,@score_series
+  @edited,@removed_by_category,@locked,@first_seen,@removed_at,@locked_at,@last_checked
 )
 ON CONFLICT(id) DO UPDATE SET
   title=excluded.title,
@@ -611,104 +1500,553 @@ ON CONFLICT(id) DO UPDATE SET
   first_seen=COALESCE(posts.first_seen, excluded.first_seen),
   removed_at=COALESCE(posts.removed_at, excluded.removed_at),
   locked_at=COALESCE(posts.locked_at, excluded.locked_at),
-  last_checked=excluded.last_checked,
-  score_series=excluded.score_series
+  last_checked=excluded.last_checked
 `);
 
-const upsertCommentSql = sqlite.prepare(`
-INSERT INTO comments (id,name,post_id,parent_id,author,body,score,created_utc,edited,removed_by_category,distinguished,is_submitter,collapsed_reason,last_checked,score_series)
-VALUES (@id,@name,@post_id,@parent_id,@author,@body,@score,@created_utc,@edited,@removed_by_category,@distinguished,@is_submitter,@collapsed_reason,@last_checked,@score_series)
+const upsertCommentSql = lazyStatement(`
+INSERT INTO comments (
+  id,name,post_id,parent_id,author,body,body_state,score,created_utc,edited,removed_by_category,distinguished,is_submitter,collapsed_reason,
+  locked,first_seen,removed_at,locked_at,last_checked
+)
+VALUES (
+  @id,@name,@post_id,@parent_id,@author,@body,@body_state,@score,@created_utc,@edited,@removed_by_category,@distinguished,@is_submitter,@collapsed_reason,
+  @locked,@first_seen,@removed_at,@locked_at,@last_checked
+)
 ON CONFLICT(id) DO UPDATE SET
   author=excluded.author,
   body=excluded.body,
+  body_state=excluded.body_state,
   score=excluded.score,
   edited=excluded.edited,
   removed_by_category=excluded.removed_by_category,
   distinguished=excluded.distinguished,
   is_submitter=excluded.is_submitter,
   collapsed_reason=excluded.collapsed_reason,
-  last_checked=excluded.last_checked,
-  score_series=excluded.score_series
+  locked=excluded.locked,
+  first_seen=COALESCE(comments.first_seen, excluded.first_seen),
+  removed_at=COALESCE(comments.removed_at, excluded.removed_at),
+  locked_at=COALESCE(comments.locked_at, excluded.locked_at),
+  last_checked=excluded.last_checked
 `);
 
-const mirrorPostPg = async (p) => {
-  if (!pg) return;
-  try {
-    await pg.query(
-      `INSERT INTO posts (
-         id,name,subreddit,title,title_norm,author,distinguished,created_utc,score,upvote_ratio,num_comments,
-         url,external_url,selftext,domain,link_flair_text,is_self,crosspost_parent,
-         edited,removed_by_category,locked,first_seen,removed_at,locked_at,last_checked,score_series
-       )
-       VALUES (
-         $1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,
-         $12,$13,$14,$15,$16,$17,$18,
-         $19,$20,$21,$22,$23,$24,$25,$26::jsonb
-       )
-       ON CONFLICT (id) DO UPDATE SET
-         title=EXCLUDED.title,
-         title_norm=EXCLUDED.title_norm,
-         author=EXCLUDED.author,
-         distinguished=EXCLUDED.distinguished,
-         score=EXCLUDED.score,
-         upvote_ratio=EXCLUDED.upvote_ratio,
-         num_comments=EXCLUDED.num_comments,
-         url=EXCLUDED.url,
-         external_url=EXCLUDED.external_url,
-         selftext=EXCLUDED.selftext,
-         domain=EXCLUDED.domain,
-         link_flair_text=EXCLUDED.link_flair_text,
-         is_self=EXCLUDED.is_self,
-         crosspost_parent=EXCLUDED.crosspost_parent,
-         edited=EXCLUDED.edited,
-         removed_by_category=EXCLUDED.removed_by_category,
-         locked=EXCLUDED.locked,
-         first_seen=COALESCE(posts.first_seen, EXCLUDED.first_seen),
-         removed_at=COALESCE(posts.removed_at, EXCLUDED.removed_at),
-         locked_at=COALESCE(posts.locked_at, EXCLUDED.locked_at),
-         last_checked=EXCLUDED.last_checked,
-         score_series=EXCLUDED.score_series`,
-      [
-        p.id, p.name, p.subreddit, p.title, p.title_norm, p.author, p.distinguished, p.created_utc,
-        p.score, p.upvote_ratio, p.num_comments, p.url, p.external_url, p.selftext, p.domain,
-        p.link_flair_text, !!p.is_self, p.crosspost_parent, p.edited, p.removed_by_category, !!p.locked,
-        p.first_seen, p.removed_at, p.locked_at, p.last_checked, p.score_series || "[]"
-      ]
-    );
-  } catch (e) {
-    console.error(`PG post upsert failed for ${p.id}:`, e.message || e);
+const selectPostSubredditSql = lazyStatement(`SELECT subreddit, num_comments FROM posts WHERE id=?`);
+
+const upsertThreadCoverageSql = lazyStatement(`
+INSERT OR REPLACE INTO thread_coverage (post_id, fetched, num_comments, more_expanded, more_pending, checked_at)
+VALUES (@post_id, @fetched, @num_comments, @more_expanded, @more_pending, @checked_at)
+`);
+
+// A thread counts as complete once we have this share of reddit's num_comments.
+const THREAD_COMPLETE_RATIO = 0.9;
+
+const insertStateEventSql = lazyStatement(`
+INSERT INTO state_events (thing_type,thing_id,post_id,subreddit,field,old_value,new_value,observed_at)
+VALUES (@thing_type,@thing_id,@post_id,@subreddit,@field,@old_value,@new_value,@observed_at)
+`);
+
+const POST_EVENT_FIELDS = ["removed_by_category", "locked", "link_flair_text", "distinguished"];
+const COMMENT_EVENT_FIELDS = ["removed_by_category", "body_state", "locked", "distinguished", "collapsed_reason"];
+
+// Values are stored as text; locked is normalized so NULL (older rows) and 0 compare equal.
+const eventValue = (field, v) => {
+  if (field === "locked") return String(Number(v || 0));
+  return v == null ? null : String(v);
+};
+
+// Appends one event per changed field. Nothing is recorded on first sight (prev == null).
+const recordStateEvents = (thingType, prev, row, fields, ts, ctx) => {
+  if (!prev) return [];
+  const events = [];
+  for (const field of fields) {
+    const old_value = eventValue(field, prev[field]);
+    const new_value = eventValue(field, row[field]);
+    if (old_value === new_value) continue;
+
+    const ev = { thing_type: thingType, thing_id: row.id, post_id: ctx.post_id, subreddit: ctx.subreddit ?? null, field, old_value, new_value, observed_at: ts };
+    ev.id = Number(insertStateEventSql.run(ev).lastInsertRowid);
+    events.push(ev);
+
+    stateEventsThisRun++;
+    if (field === "removed_by_category" && old_value != null && new_value == null) reinstatementsThisRun++;
+    if (field === "locked" && old_value === "1" && new_value === "0") unlocksThisRun++;
+  }
+  return events;
+};
+
+const insertRevisionSql = lazyStatement(`
+INSERT INTO revisions (thing_type,thing_id,post_id,field,content,edited,observed_at)
+VALUES (@thing_type,@thing_id,@post_id,@field,@content,@edited,@observed_at)
+`);
+const hasRevisionSql = lazyStatement(`SELECT 1 FROM revisions WHERE thing_id = ? AND field = ? LIMIT 1`);
+
+const POST_CONTENT_FIELDS = ["title", "selftext"];
+const COMMENT_CONTENT_FIELDS = ["body"];
+
+const isPlaceholder = (v) => v === "[removed]" || v === "[deleted]";
+
+// Keeps the stored title/selftext/body when reddit now only returns a placeholder, and logs every other change
+// to revisions. A thing's first version is only written once it changes (observed_at = first_seen), so
+// unedited things cost nothing extra.
+const recordRevisions = (thingType, prev, row, fields, ts, postId) => {
+  const revs = [];
+  if (!prev) return revs;
+  const add = (field, content, edited, observed_at) => {
+    const rev = { thing_type: thingType, thing_id: row.id, post_id: postId, field, content, edited: edited ?? null, observed_at };
+    rev.id = Number(insertRevisionSql.run(rev).lastInsertRowid);
+    revs.push(rev);
+  };
+  for (const field of fields) {
+    if (isPlaceholder(row[field]) && prev[field] != null && !isPlaceholder(prev[field])) {
+      row[field] = prev[field];
+      continue;
+    }
+    if (row[field] === prev[field] || isPlaceholder(row[field])) continue;
+    if (prev[field] != null && !isPlaceholder(prev[field]) && !hasRevisionSql.get(row.id, field)) {
+      add(field, prev[field], prev.edited, prev.first_seen ?? ts);
+    }
+    add(field, row[field], row.edited, ts);
+  }
+  return revs;
+};
+
+const SNAPSHOT_TABLES = {
+  post: { table: "post_snapshots", key: "post_id", cols: ["score", "upvote_ratio", "num_comments", "locked", "removed"], bools: ["locked", "removed"] },
+  comment: { table: "comment_snapshots", key: "comment_id", cols: ["score"], bools: [] },
+};
+
+for (const spec of Object.values(SNAPSHOT_TABLES)) {
+  const cols = ["ts", ...spec.cols];
+  spec.lastTwoSql = lazyStatement(`SELECT ${cols.join(",")} FROM ${spec.table} WHERE ${spec.key}=? ORDER BY ts DESC LIMIT 2`);
+  spec.insertSql = lazyStatement(
+    `INSERT INTO ${spec.table} (${spec.key},${cols.join(",")}) VALUES (@id,${cols.map((c) => `@${c}`).join(",")})
+     ON CONFLICT(${spec.key}, ts) DO UPDATE SET ${spec.cols.map((c) => `${c}=excluded.${c}`).join(",")}`
+  );
+  spec.deleteOneSql = lazyStatement(`DELETE FROM ${spec.table} WHERE ${spec.key}=? AND ts=?`);
+  spec.nthNewestTsSql = lazyStatement(`SELECT ts FROM ${spec.table} WHERE ${spec.key}=? ORDER BY ts DESC LIMIT 1 OFFSET ?`);
+  spec.trimSql = lazyStatement(`DELETE FROM ${spec.table} WHERE ${spec.key}=? AND ts < ?`);
+}
+
+// Same semantics the JSON series had: with dedupe, a run of identical points keeps its first and
+// last point (the last one slides forward in time); max > 0 keeps only the newest max points.
+// Returns the operation so the PG mirror can replay it.
+const appendSnapshot = (kind, id, entry, dedupeKeys = [], max = 0, dedupe = true) => {
+  const spec = SNAPSHOT_TABLES[kind];
+  const eq = (a, b) => {
+    if (!a || !b) return false;
+    return dedupeKeys.every((k) => {
+      const av = a[k]; const bv = b[k];
+      return (av === bv) || (av == null && bv == null);
+    });
+  };
+
+  let dropTs = null;
+  if (dedupe) {
+    const [last, prev] = spec.lastTwoSql.all(id);
+    if (last && prev && eq(entry, last) && eq(prev, last)) dropTs = last.ts;
+  }
+
+  if (dropTs != null && dropTs !== entry.ts) spec.deleteOneSql.run(id, dropTs);
+  spec.insertSql.run({ id, ...entry });
+
+  let trimBefore = null;
+  if (max > 0) {
+    const nth = spec.nthNewestTsSql.get(id, max - 1);
+    if (nth && spec.trimSql.run(id, nth.ts).changes > 0) trimBefore = nth.ts;
+  }
+
+  return { kind, id, entry, drop_ts: dropTs, trim_before: trimBefore };
+};
+
+// Multi-row INSERT ... VALUES (...),(...) in chunks that stay under PG's 65535 bind parameters.
+const pgInsertMany = async (client, table, cols, rows, conflictSql, toValues) => {
+  const maxRows = Math.max(1, Math.floor(60000 / cols.length));
+  for (const part of chunk(rows, maxRows)) {
+    const params = [];
+    const tuples = part.map((r) => {
+      const vals = toValues(r);
+      const base = params.length;
+      params.push(...vals);
+      return `(${vals.map((_, i) => `$${base + i + 1}`).join(",")})`;
+    });
+    await client.query(`INSERT INTO ${table} (${cols.join(",")}) VALUES ${tuples.join(",")} ${conflictSql}`, params);
+  }
+};
+
+// ON CONFLICT DO UPDATE may touch a row only once per statement; the last write of a key wins.
+const lastByKey = (rows, key = (r) => r.id) => Array.from(new Map(rows.map((r) => [key(r), r])).values());
+
+const PG_POST_COLS = [
+  "id", "name", "subreddit", "title", "title_norm", "author", "distinguished", "created_utc", "score", "upvote_ratio", "num_comments",
+  "url", "external_url", "selftext", "domain", "link_flair_text", "is_self", "crosspost_parent",
+  "edited", "removed_by_category", "locked", "first_seen", "removed_at", "locked_at", "last_checked",
+];
+
+const mirrorPostsPg = async (client, rows) => {
+  if (!rows.length) return;
+  await pgInsertMany(client, "posts", PG_POST_COLS, lastByKey(rows), `
+    ON CONFLICT (id) DO UPDATE SET
+      title=EXCLUDED.title,
+      title_norm=EXCLUDED.title_norm,
+      author=EXCLUDED.author,
+      distinguished=EXCLUDED.distinguished,
+      score=EXCLUDED.score,
+      upvote_ratio=EXCLUDED.upvote_ratio,
+      num_comments=EXCLUDED.num_comments,
+      url=EXCLUDED.url,
+      external_url=EXCLUDED.external_url,
+      selftext=EXCLUDED.selftext,
+      domain=EXCLUDED.domain,
+      link_flair_text=EXCLUDED.link_flair_text,
+      is_self=EXCLUDED.is_self,
+      crosspost_parent=EXCLUDED.crosspost_parent,
+      edited=EXCLUDED.edited,
+      removed_by_category=EXCLUDED.removed_by_category,
+      locked=EXCLUDED.locked,
+      first_seen=COALESCE(posts.first_seen, EXCLUDED.first_seen),
+      removed_at=COALESCE(posts.removed_at, EXCLUDED.removed_at),
+      locked_at=COALESCE(posts.locked_at, EXCLUDED.locked_at),
+      last_checked=EXCLUDED.last_checked`,
+  (p) => [
+    p.id, p.name, p.subreddit, p.title, p.title_norm, p.author, p.distinguished, p.created_utc,
+    p.score, p.upvote_ratio, p.num_comments, p.url, p.external_url, p.selftext, p.domain,
+    p.link_flair_text, !!p.is_self, p.crosspost_parent, p.edited, p.removed_by_category, !!p.locked,
+    p.first_seen, p.removed_at, p.locked_at, p.last_checked,
+  ]);
+};
+
+const PG_COMMENT_COLS = [
+  "id", "name", "post_id", "parent_id", "author", "body", "body_state", "score", "created_utc", "edited", "removed_by_category", "distinguished", "is_submitter", "collapsed_reason",
+  "locked", "first_seen", "removed_at", "locked_at", "last_checked",
+];
+
+const mirrorCommentsPg = async (client, rows) => {
+  if (!rows.length) return;
+  await pgInsertMany(client, "comments", PG_COMMENT_COLS, lastByKey(rows), `
+    ON CONFLICT (id) DO UPDATE SET
+      author=EXCLUDED.author,
+      body=EXCLUDED.body,
+      body_state=EXCLUDED.body_state,
+      score=EXCLUDED.score,
+      edited=EXCLUDED.edited,
+      removed_by_category=EXCLUDED.removed_by_category,
+      distinguished=EXCLUDED.distinguished,
+      is_submitter=EXCLUDED.is_submitter,
+      collapsed_reason=EXCLUDED.collapsed_reason,
+      locked=EXCLUDED.locked,
+      first_seen=COALESCE(comments.first_seen, EXCLUDED.first_seen),
+      removed_at=COALESCE(comments.removed_at, EXCLUDED.removed_at),
+      locked_at=COALESCE(comments.locked_at, EXCLUDED.locked_at),
+      last_checked=EXCLUDED.last_checked`,
+  (c) => [
+    c.id, c.name, c.post_id, c.parent_id, c.author, c.body, c.body_state, c.score, c.created_utc, c.edited,
+    c.removed_by_category, c.distinguished, !!c.is_submitter, c.collapsed_reason,
+    !!c.locked, c.first_seen, c.removed_at, c.locked_at, c.last_checked,
+  ]);
+};
+
+// No id: PG assigns its own (see migration v12).
+const PG_STATE_EVENT_COLS = ["thing_type", "thing_id", "post_id", "subreddit", "field", "old_value", "new_value", "observed_at"];
+const PG_STATE_EVENT_KEY = `(thing_type, thing_id, field, observed_at, (COALESCE(new_value, '')))`;
+
+const mirrorStateEventsPg = async (client, events) => {
+  if (!events.length) return;
+  await pgInsertMany(client, "state_events", PG_STATE_EVENT_COLS, events, `ON CONFLICT ${PG_STATE_EVENT_KEY} DO NOTHING`,
+    (e) => PG_STATE_EVENT_COLS.map((k) => e[k] ?? null));
+};
+
+// No id here either (migration v13).
+const PG_REVISION_COLS = ["thing_type", "thing_id", "post_id", "field", "content", "edited", "observed_at"];
+
+const mirrorRevisionsPg = async (client, revs) => {
+  if (!revs.length) return;
+  await pgInsertMany(client, "revisions", PG_REVISION_COLS, revs, `ON CONFLICT (thing_type, thing_id, field, observed_at) DO NOTHING`,
+    (r) => PG_REVISION_COLS.map((k) => r[k] ?? null));
+};
+
+const upsertSnapshotRowsPg = async (client, kind, rows) => {
+  const spec = SNAPSHOT_TABLES[kind];
+  const cols = [spec.key, "ts", ...spec.cols];
+  await pgInsertMany(client, spec.table, cols, lastByKey(rows, (r) => `${r[spec.key]}|${r.ts}`),
+    `ON CONFLICT (${spec.key}, ts) DO UPDATE SET ${spec.cols.map((c) => `${c}=EXCLUDED.${c}`).join(",")}`,
+    (r) => cols.map((c) => (spec.bools.includes(c) && r[c] != null ? !!r[c] : r[c] ?? null)));
+};
+
+// Inserts first, then the dedupe drops and max trims, so several ops on one id within a batch
+// end in the same state as replaying them one by one.
+const mirrorSnapshotsPg = async (client, ops) => {
+  for (const [kind, spec] of Object.entries(SNAPSHOT_TABLES)) {
+    const mine = ops.filter((op) => op.kind === kind);
+    if (!mine.length) continue;
+
+    await upsertSnapshotRowsPg(client, kind, mine.map((op) => ({ ...op.entry, [spec.key]: op.id })));
+
+    const drops = mine.filter((op) => op.drop_ts != null && op.drop_ts !== op.entry.ts);
+    if (drops.length) {
+      await client.query(
+        `DELETE FROM ${spec.table} t USING unnest($1::text[], $2::bigint[]) AS d(id, ts) WHERE t.${spec.key} = d.id AND t.ts = d.ts`,
+        [drops.map((op) => op.id), drops.map((op) => op.drop_ts)]
+      );
+    }
+    const trims = mine.filter((op) => op.trim_before != null);
+    if (trims.length) {
+      await client.query(
+        `DELETE FROM ${spec.table} t USING unnest($1::text[], $2::bigint[]) AS d(id, cutoff) WHERE t.${spec.key} = d.id AND t.ts < d.cutoff`,
+        [trims.map((op) => op.id), trims.map((op) => op.trim_before)]
+      );
+    }
   }
 };
 
-const mirrorCommentPg = async (c) => {
-  if (!pg) return;
+const newWriteBatch = () => ({ posts: [], comments: [], events: [], snapshots: [], revisions: [] });
+// Outbox payloads queued by older builds have no revisions.
+const batchSize = (b) => b.posts.length + b.comments.length + b.events.length + b.snapshots.length + (b.revisions || []).length;
+
+const writeBatchPg = async (client, batch) => {
   try {
-    await pg.query(
-      `INSERT INTO comments (id,name,post_id,parent_id,author,body,score,created_utc,edited,removed_by_category,distinguished,is_submitter,collapsed_reason,last_checked,score_series)
-       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15::jsonb)
-       ON CONFLICT (id) DO UPDATE SET
-         author=EXCLUDED.author,
-         body=EXCLUDED.body,
-         score=EXCLUDED.score,
-         edited=EXCLUDED.edited,
-         removed_by_category=EXCLUDED.removed_by_category,
-         distinguished=EXCLUDED.distinguished,
-         is_submitter=EXCLUDED.is_submitter,
-         collapsed_reason=EXCLUDED.collapsed_reason,
-         last_checked=EXCLUDED.last_checked,
-         score_series=EXCLUDED.score_series`,
-      [
-        c.id, c.name, c.post_id, c.parent_id, c.author, c.body, c.score, c.created_utc, c.edited,
-        c.removed_by_category, c.distinguished, !!c.is_submitter, c.collapsed_reason, c.last_checked,
-        c.score_series || "[]"
-      ]
-    );
+    await client.query("BEGIN");
+    await mirrorPostsPg(client, batch.posts);
+    await mirrorCommentsPg(client, batch.comments);
+    await mirrorStateEventsPg(client, batch.events);
+    await mirrorRevisionsPg(client, batch.revisions || []);
+    await mirrorSnapshotsPg(client, batch.snapshots);
+    await client.query("COMMIT");
   } catch (e) {
-    console.error(`PG comment upsert failed for ${c.id}:`, e.message || e);
+    await client.query("ROLLBACK").catch(() => {});
+    throw e;
+  }
+};
+
+// Every batch bound for Postgres is parked in pg_outbox inside its SQLite transaction and deleted once PG
+// committed it, so failed writes, a PG outage or a crash in between are replayed in order later.
+// A batch PG keeps rejecting is parked after OUTBOX_MAX_ATTEMPTS so it can't block the ones behind it;
+// parked batches stay in the table (attempts >= the cap) until `sync` re-copies their rows and drops them.
+const OUTBOX_MAX_ATTEMPTS = 10;
+
+const insertOutboxSql = lazyStatement(`INSERT INTO pg_outbox (created_at, row_count, payload) VALUES (?, ?, ?)`);
+const nextOutboxSql = lazyStatement(`
+  SELECT id, row_count, payload, attempts FROM pg_outbox WHERE attempts < ${OUTBOX_MAX_ATTEMPTS} ORDER BY id LIMIT 1
+`);
+const deleteOutboxSql = lazyStatement(`DELETE FROM pg_outbox WHERE id = ?`);
+const failOutboxSql = lazyStatement(`UPDATE pg_outbox SET attempts = attempts + ?, last_error = ?, last_attempt = ? WHERE id = ?`);
+const outboxCountsSql = lazyStatement(`
+  SELECT COALESCE(SUM(attempts < ${OUTBOX_MAX_ATTEMPTS}), 0) AS batches,
+         COALESCE(SUM(CASE WHEN attempts < ${OUTBOX_MAX_ATTEMPTS} THEN row_count ELSE 0 END), 0) AS rows,
+         COALESCE(SUM(attempts >= ${OUTBOX_MAX_ATTEMPTS}), 0) AS parked,
+         COALESCE(MAX(id), 0) AS max_id
+  FROM pg_outbox
+`);
+
+// Only errors PG raised about the batch itself count towards parking; a lost connection or a server
+// that is shutting down (SQLSTATE classes 08, 53, 57) says nothing about the batch.
+const isBatchError = (e) => /^[0-9A-Z]{5}$/.test(e?.code || "") && !/^(08|53|57)/.test(e.code);
+
+let outboxBacklogId = 0;
+let outboxReplayedBatches = 0;
+let outboxReplayedRows = 0;
+// Set after a failed flush so a dead PG is retried once per cycle rather than once per batch.
+let outboxStalled = false;
+
+const queueForPg = (batch) => {
+  if (!opts.pgUrl || !batchSize(batch)) return;
+  insertOutboxSql.run(nowSec(), batchSize(batch), JSON.stringify(batch));
+};
+
+// Batches share the one PG connection, so flushes run one after another, oldest batch first.
+let pgWriteQueue = Promise.resolve();
+
+const flushPgOutbox = () => {
+  if (!opts.pgUrl) return Promise.resolve();
+  const run = pgWriteQueue.then(async () => {
+    while (pg && !outboxStalled) {
+      const next = nextOutboxSql.get();
+      if (!next) break;
+      const t0 = Date.now();
+      try {
+        await writeBatchPg(pg, JSON.parse(next.payload));
+      } catch (e) {
+        metricInc("pg_mirror_failures_total");
+        const counted = isBatchError(e) ? 1 : 0;
+        failOutboxSql.run(counted, String(e.message || e), nowSec(), next.id);
+        if (next.attempts + counted >= OUTBOX_MAX_ATTEMPTS) {
+          console.error(`[outbox] PG rejected batch ${next.id} (${next.row_count} rows) ${OUTBOX_MAX_ATTEMPTS} times; parked, run \`sync\` to re-copy it:`, e.message || e);
+          continue;
+        }
+        outboxStalled = true;
+        console.error(`[outbox] PG write failed for batch ${next.id} (${next.row_count} rows); kept for the next cycle:`, e.message || e);
+        break;
+      } finally {
+        addPhaseMs("pg_write", Date.now() - t0);
+      }
+      deleteOutboxSql.run(next.id);
+      if (next.id <= outboxBacklogId) {
+        outboxReplayedBatches++;
+        outboxReplayedRows += next.row_count;
+      }
+    }
+  });
+  pgWriteQueue = run.catch(() => {});
+  return run;
+};
+
+// Per-event webhooks. Events are queued in webhook_deliveries inside the same SQLite transaction that
+// detected them and delivered after the scrape; failures stay queued with backoff for later runs.
+const WEBHOOK_MAX_ATTEMPTS = 10;
+const WEBHOOK_TRIES_PER_RUN = 3;
+// Dead deliveries are kept this long for inspecting last_error, then purged.
+const WEBHOOK_DEAD_KEEP_DAYS = 7;
+
+const insertDeliverySql = lazyStatement(`
+  INSERT INTO webhook_deliveries (url, format, event, payload, created_at, next_attempt_at)
+  VALUES (?, ?, ?, ?, ?, 0)
+`);
+const dueDeliveriesSql = lazyStatement(`
+  SELECT id, url, format, event, payload, attempts FROM webhook_deliveries
+  WHERE next_attempt_at <= ? AND attempts < ${WEBHOOK_MAX_ATTEMPTS}
+  ORDER BY id LIMIT 1000
+`);
+const deleteDeliverySql = lazyStatement(`DELETE FROM webhook_deliveries WHERE id = ?`);
+const failDeliverySql = lazyStatement(`
+  UPDATE webhook_deliveries SET attempts = attempts + 1, next_attempt_at = ?, last_error = ? WHERE id = ?
+`);
+const purgeDeadDeliveriesSql = lazyStatement(`
+  DELETE FROM webhook_deliveries WHERE attempts >= ${WEBHOOK_MAX_ATTEMPTS} AND created_at < ?
+`);
+const deliveryCountsSql = lazyStatement(`
+  SELECT SUM(attempts < ${WEBHOOK_MAX_ATTEMPTS}) AS pending, SUM(attempts >= ${WEBHOOK_MAX_ATTEMPTS}) AS dead FROM webhook_deliveries
+`);
+
+let webhookEventsQueued = 0;
+let webhookDelivered = 0;
+let webhookFailed = 0;
+
+const queueEventWebhook = (event, payload) => {
+  if (!opts.eventWebhooks.length) return;
+  const body = JSON.stringify({ event, ...payload });
+  for (const hook of opts.eventWebhooks) insertDeliverySql.run(hook.url, hook.format, event, body, nowSec());
+  webhookEventsQueued++;
+};
+
+const postEventPayload = (row, ts) => ({
+  thing_type: "post",
+  id: row.id,
+  subreddit: row.subreddit,
+  title: row.title,
+  flair: row.link_flair_text,
+  domain: row.domain,
+  removed_by_category: row.removed_by_category,
+  locked: !!row.locked,
+  url: row.url,
+  external_url: row.external_url,
+  created_utc: row.created_utc,
+  detected_at: ts,
+  latency_s: row.created_utc ? ts - row.created_utc : null,
+});
+
+const commentEventPayload = (c, subreddit, ts) => ({
+  thing_type: "comment",
+  id: c.id,
+  post_id: c.post_id,
+  subreddit,
+  removed_by_category: c.removed_by_category,
+  body_state: c.body_state,
+  locked: !!c.locked,
+  url: subreddit ? `https://reddit.com/r/${subreddit}/comments/${c.post_id}/_/${c.id}/` : null,
+  created_utc: c.created_utc,
+  detected_at: ts,
+  latency_s: c.created_utc ? ts - c.created_utc : null,
+});
+
+const WEBHOOK_EVENT_LABELS = {
+  post_removed: "Post removed",
+  post_locked: "Post locked",
+  comment_removed: "Comment removed",
+  comment_locked: "Comment locked",
+};
+
+const fmtLatency = (s) => (s == null ? "?" : s < 3600 ? `${Math.round(s / 60)}m` : `${(s / 3600).toFixed(1)}h`);
+
+const eventSummaryLine = (p) => [
+  p.subreddit ? `r/${p.subreddit}` : null,
+  p.flair ? `flair "${p.flair}"` : null,
+  p.domain ? p.domain : null,
+  p.removed_by_category ? `by ${p.removed_by_category}` : null,
+  `${fmtLatency(p.latency_s)} after posting`,
+].filter(Boolean).join(" · ");
+
+const WEBHOOK_RENDERERS = {
+  json: (p) => p,
+  discord: (p) => ({
+    embeds: [{
+      title: `${WEBHOOK_EVENT_LABELS[p.event] || p.event}: ${(p.title || p.id).slice(0, 200)}`,
+      url: p.url || undefined,
+      description: eventSummaryLine(p),
+      color: p.event.endsWith("_removed") ? 0xd93f0b : 0xfbca04,
+      timestamp: new Date(p.detected_at * 1000).toISOString(),
+    }],
+  }),
+  slack: (p) => ({
+    text: `*${WEBHOOK_EVENT_LABELS[p.event] || p.event}*: ${p.url ? `<${p.url}|${(p.title || p.id).replace(/[<>|]/g, "")}>` : p.id}\n${eventSummaryLine(p)}`,
+  }),
+};
+
+// Signature: hex HMAC-SHA256 over "<timestamp>.<body>" with the shared secret.
+const webhookHeaders = (body) => {
+  const headers = { "Content-Type": "application/json", "Accept": "application/json", "User-Agent": UA };
+  if (opts.webhookSecret) {
+    const ts = String(nowSec());
+    headers["X-Scraper-Timestamp"] = ts;
+    headers["X-Scraper-Signature"] = `sha256=${crypto.createHmac("sha256", opts.webhookSecret).update(`${ts}.${body}`).digest("hex")}`;
+  }
+  return headers;
+};
+
+const sendWebhook = async (url, payload) => {
+  let lastErr = null;
+  for (let attempt = 0; attempt < WEBHOOK_TRIES_PER_RUN; attempt++) {
+    const body = JSON.stringify(payload);
+    let waitMs = 1000 * 2 ** attempt;
+    try {
+      const res = await fetchWithTimeout(url, { method: "POST", headers: webhookHeaders(body), body }, opts.webhookTimeoutMs);
+      if (res.ok) return;
+      const t = await res.text().catch(() => "");
+      lastErr = new Error(`HTTP ${res.status} ${res.statusText}: ${t.slice(0, 300)}`);
+      // 4xx other than 429 will not get better by retrying now.
+      if (res.status < 500 && res.status !== 429) break;
+      const retryAfter = Number(res.headers.get("retry-after"));
+      if (Number.isFinite(retryAfter) && retryAfter > 0) waitMs = Math.max(waitMs, retryAfter * 1000);
+    } catch (e) {
+      lastErr = e;
+    }
+    if (attempt + 1 < WEBHOOK_TRIES_PER_RUN) await sleep(waitMs);
+  }
+  throw lastErr;
+};
+
+const deliverEventWebhooks = async () => {
+  const downUrls = new Set();
+  for (const d of dueDeliveriesSql.all(nowSec())) {
+    // One dead endpoint should not cost its full retry cycle for every queued event.
+    if (downUrls.has(d.url)) continue;
+    const render = WEBHOOK_RENDERERS[d.format] || WEBHOOK_RENDERERS.json;
+    try {
+      await sendWebhook(d.url, render(JSON.parse(d.payload)));
+      deleteDeliverySql.run(d.id);
+      webhookDelivered++;
+      metricInc("webhook_deliveries_total", { result: "delivered" });
+    } catch (e) {
+      downUrls.add(d.url);
+      const next = nowSec() + Math.min(3600, 60 * 2 ** d.attempts);
+      failDeliverySql.run(next, String(e.message || e), d.id);
+      webhookFailed++;
+      metricInc("webhook_deliveries_total", { result: "failed" });
+      console.error(`[webhook] ${d.event} ${d.url} failed (attempt ${d.attempts + 1}/${WEBHOOK_MAX_ATTEMPTS}): ${e.message || e}`);
+    }
   }
+  const purged = purgeDeadDeliveriesSql.run(nowSec() - WEBHOOK_DEAD_KEEP_DAYS * 86400).changes;
+  if (purged) console.log(`[webhook] purged ${purged} dead deliveries older than ${WEBHOOK_DEAD_KEEP_DAYS} days`);
 };
 
-const upsertPostWithTransitions = (row) => {
+const applyPostWithTransitions = (row, stats, batch) => {
   const prev = selectPostByIdSql.get(row.id);
   const nowts = nowSec();
 
@@ -722,47 +2060,98 @@ const upsertPostWithTransitions = (row) => {
 
   row.removed_at = prev?.removed_at || justRemoved || null;
   row.locked_at  = prev?.locked_at  || justLocked  || null;
-  if (justRemoved) newRemovalsThisRun++;
-  if (justLocked) newLocksThisRun++;
+  if (justRemoved) { newRemovalsThisRun++; if (stats) stats.new_removals++; }
+  if (justLocked) { newLocksThisRun++; if (stats) stats.new_locks++; }
+  // Things already removed/locked when first seen (first run, new subreddit, backfill) are not news.
+  if (prev && justRemoved) queueEventWebhook("post_removed", postEventPayload(row, nowts));
+  if (prev && justLocked) queueEventWebhook("post_locked", postEventPayload(row, nowts));
 
   const entry = {
     ts: nowts,
     score: row.score ?? null,
     upvote_ratio: row.upvote_ratio ?? null,
     num_comments: row.num_comments ?? null,
-    locked: !!row.locked,
-    removed: !!row.removed_by_category,
+    locked: asInt(!!row.locked),
+    removed: asInt(!!row.removed_by_category),
   };
-  row.score_series = appendSeriesString(
-    prev?.score_series || "[]",
+
+  batch.events.push(...recordStateEvents("post", prev, row, POST_EVENT_FIELDS, nowts, { post_id: row.id, subreddit: row.subreddit }));
+  batch.revisions.push(...recordRevisions("post", prev, row, POST_CONTENT_FIELDS, nowts, row.id));
+  upsertPostSql.run(row);
+  batch.posts.push(row);
+  batch.snapshots.push(appendSnapshot(
+    "post",
+    row.id,
     entry,
     ["score", "upvote_ratio", "num_comments", "locked", "removed"],
     opts.seriesMax,
     opts.seriesDedupePosts
-  );
-
-  upsertPostSql.run(row);
-  return mirrorPostPg(row);
+  ));
 };
 
-const upsertCommentWithSeries = (c, bumpSeries = true) => {
+const applyCommentWithSeries = (c, bumpSeries, { stats = null, subreddit = null } = {}, batch) => {
   const prev = selectCommentByIdSql.get(c.id);
-  let seriesText = prev?.score_series || "[]";
+  const nowts = nowSec();
+
+  c.first_seen = prev?.first_seen || nowts;
+
+  const category = c.removed_by_category || c.body_state;
+  const justGone = (!(prev?.removed_by_category || prev?.body_state) && category) ? nowts : null;
+  // The author deleting their own comment still sets removed_at (reports classify it by category), but it
+  // is not counted or announced as a removal.
+  const justRemoved = category !== "deleted" ? justGone : null;
+  const justLocked = (!Number(prev?.locked || 0) && c.locked) ? nowts : null;
+
+  c.removed_at = prev?.removed_at || justGone || null;
+  c.locked_at  = prev?.locked_at  || justLocked  || null;
+  if (justRemoved) { newCommentRemovalsThisRun++; if (stats) stats.new_comment_removals++; }
+  if (justLocked) { newCommentLocksThisRun++; if (stats) stats.new_comment_locks++; }
+  if (prev && justRemoved) queueEventWebhook("comment_removed", commentEventPayload(c, subreddit, nowts));
+  if (prev && justLocked) queueEventWebhook("comment_locked", commentEventPayload(c, subreddit, nowts));
+
+  batch.events.push(...recordStateEvents("comment", prev, c, COMMENT_EVENT_FIELDS, nowts, { post_id: c.post_id, subreddit }));
+  batch.revisions.push(...recordRevisions("comment", prev, c, COMMENT_CONTENT_FIELDS, nowts, c.post_id));
+  upsertCommentSql.run(c);
+  batch.comments.push(c);
 
   if (bumpSeries) {
-    const entry = { ts: nowSec(), score: c.score ?? null };
-    seriesText = appendSeriesString(
-      seriesText,
-      entry,
-      ["score"],
-      opts.commentSeriesMax,
-      opts.commentSeriesDedupe
-    );
+    batch.snapshots.push(appendSnapshot("comment", c.id, { ts: nowts, score: c.score ?? null }, ["score"], opts.commentSeriesMax, opts.commentSeriesDedupe));
   }
+};
 
-  c.score_series = seriesText;
-  upsertCommentSql.run(c);
-  return mirrorCommentPg(c);
+// One SQLite transaction per listing page, /api/info batch or comment thread, then one PG round trip set.
+const writePostsSqlite = sqlite.transaction((rows, stats, batch) => {
+  for (const row of rows) applyPostWithTransitions(row, stats, batch);
+  queueForPg(batch);
+});
+
+const writeCommentsSqlite = sqlite.transaction((comments, ctx, batch) => {
+  for (const c of comments) {
+    // Comment series get one point per run even though a thread can be fetched with two sorts.
+    const firstTimeThisRun = !commentsSeriesBumpedThisRun.has(c.id);
+    applyCommentWithSeries(c, firstTimeThisRun, ctx, batch);
+    commentsSeenThisRun.add(c.id);
+    commentsSeriesBumpedThisRun.add(c.id);
+  }
+  queueForPg(batch);
+});
+
+const writePosts = async (rows, stats = null) => {
+  if (!rows.length) return;
+  const batch = newWriteBatch();
+  const t0 = Date.now();
+  writePostsSqlite(rows, stats, batch);
+  addPhaseMs("sqlite_write", Date.now() - t0);
+  await flushPgOutbox();
+};
+
+const writeComments = async (comments, ctx = {}) => {
+  if (!comments.length) return;
+  const batch = newWriteBatch();
+  const t0 = Date.now();
+  writeCommentsSqlite(comments, ctx, batch);
+  addPhaseMs("sqlite_write", Date.now() - t0);
+  await flushPgOutbox();
 };
 
 const fetchNewPage = async (sub, after = null) => {
@@ -782,29 +2171,95 @@ const fetchCommentsForPost = async (id, sort = "confidence") => {
   return redditJson(url);
 };
 
-const flattenComments = (listing, postIdBase36) => {
+// Reddit takes at most 100 ids per /api/morechildren call.
+const MORE_CHUNK = 100;
+
+const fetchMoreChildren = async (postId, ids, sort = "confidence") => {
+  const url = `https://oauth.reddit.com/api/morechildren?api_type=json&link_id=t3_${postId}` +
+    `&children=${encodeURIComponent(ids.join(","))}&sort=${encodeURIComponent(sort)}&limit_children=false`;
+  return redditJson(url);
+};
+
+// Removed/deleted comments often come back with a placeholder body and no removed_by_category.
+const bodyState = (body) => (body === "[removed]" ? "removed" : body === "[deleted]" ? "deleted" : null);
+
+// Pseudonyms are HMAC-SHA256(key, lowercased name); the same user gets the same pseudonym everywhere the key is
+// the same, so per-author joins and is_submitter keep working. Reddit's "[deleted]" placeholder is kept.
+const pseudonym = (key, author) => {
+  if (author == null || author === "" || author === "[deleted]") return author ?? null;
+  return `anon_${crypto.createHmac("sha256", key).update(String(author).toLowerCase()).digest("hex").slice(0, 16)}`;
+};
+const authorOf = (author) => (opts.pseudonymizeKey ? pseudonym(opts.pseudonymizeKey, author) : author ?? null);
+// Stored in dataset_meta so a key change (or switching the mode off) can't mix two naming schemes in one db.
+const keyFingerprint = (key) => crypto.createHmac("sha256", key).update("reddit-scraper:pseudonym-key").digest("hex").slice(0, 16);
+
+const getMetaSql = lazyStatement(`SELECT value FROM dataset_meta WHERE key = ?`);
+const setMetaSql = lazyStatement(`INSERT INTO dataset_meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value`);
+
+const checkAuthorMode = () => {
+  const stored = getMetaSql.get("pseudonym_key")?.value ?? null;
+  const wanted = opts.pseudonymizeKey ? keyFingerprint(opts.pseudonymizeKey) : null;
+  if (stored === wanted) return;
+  if (stored && !wanted) throw new Error("database holds pseudonymized authors; pass the same --pseudonymize-key");
+  if (stored) throw new Error("--pseudonymize-key differs from the key this database was pseudonymized with");
+  const raw = sqlite.prepare(`SELECT EXISTS (SELECT 1 FROM posts WHERE author IS NOT NULL AND author <> '[deleted]') AS raw`).get().raw;
+  if (raw) throw new Error("database holds raw author names; convert it with the pseudonymize command and scrape into the copy");
+  setMetaSql.run("pseudonym_key", wanted);
+  console.log("[storage] author pseudonymization on");
+};
+
+// Postgres keeps its own pseudonym_key row (NULL for raw names), set by the first scraper to reach an empty
+// mirror. A SQLite file in another mode is refused the mirror; its writes then wait in pg_outbox as if PG were down.
+const checkPgAuthorMode = async (client) => {
+  const local = getMetaSql.get("pseudonym_key")?.value ?? null;
+  await client.query(`INSERT INTO dataset_meta (key, value) VALUES ('pseudonym_key', $1) ON CONFLICT (key) DO NOTHING`, [local]);
+  const { rows } = await client.query(`SELECT value FROM dataset_meta WHERE key = 'pseudonym_key'`);
+  const mirror = rows[0].value;
+  if (mirror === local) return;
+  if (!mirror) throw new Error("Postgres holds raw author names but this database is pseudonymized; mirror it into a new PG database");
+  if (!local) throw new Error("Postgres holds pseudonymized authors but this database has raw names; mirror it into another PG database");
+  throw new Error("Postgres was pseudonymized with a different --pseudonymize-key than this database");
+};
+
+const commentRow = (d, postIdBase36) => ({
+  id: d.id,
+  name: d.name || `t1_${d.id}`,
+  post_id: postIdBase36,
+  parent_id: d.parent_id || null,
+  author: authorOf(d.author || null),
+  body: d.body || null,
+  body_state: bodyState(d.body),
+  score: d.score ?? null,
+  created_utc: d.created_utc ?? null,
+  edited: (typeof d.edited === "number") ? d.edited : null,
+  removed_by_category: d.removed_by_category ?? null,
+  distinguished: d.distinguished ?? null,
+  is_submitter: asInt(!!d.is_submitter),
+  collapsed_reason: d.collapsed_reason || null,
+  locked: asInt(!!d.locked),
+  first_seen: null,
+  removed_at: null,
+  locked_at: null,
+  last_checked: nowSec(),
+});
+
+// "more" stubs list the ids they hide; a stub with count but no ids is a "continue this thread" link,
+// which /api/morechildren cannot expand, so only its count is kept.
+const collectMore = (node, more) => {
+  const d = node.data || {};
+  if (Array.isArray(d.children) && d.children.length) more.ids.push(...d.children);
+  else more.unexpandable += Number(d.count) || 0;
+};
+
+const flattenComments = (listing, postIdBase36, more = null) => {
   const commentsRoot = (Array.isArray(listing) && listing[1] && listing[1].data && listing[1].data.children) ? listing[1].data.children : [];
   const out = [];
 
   const walk = (node) => {
+    if (node && node.kind === "more" && more) collectMore(node, more);
     if (!node || node.kind !== "t1") return;
     const d = node.data || {};
-    out.push({
-      id: d.id,
-      name: d.name || `t1_${d.id}`,
-      post_id: postIdBase36,
-      parent_id: d.parent_id || null,
-      author: d.author || null,
-      body: d.body || null,
-      score: d.score ?? null,
-      created_utc: d.created_utc ?? null,
-      edited: (typeof d.edited === "number") ? d.edited : null,
-      removed_by_category: d.removed_by_category ?? null,
-      distinguished: d.distinguished ?? null,
-      is_submitter: asInt(!!d.is_submitter),
-      collapsed_reason: d.collapsed_reason || null,
-      last_checked: nowSec(),
-    });
+    out.push(commentRow(d, postIdBase36));
     if (d.replies && d.replies.data && Array.isArray(d.replies.data.children)) {
       for (const child of d.replies.data.children) walk(child);
     }
@@ -814,76 +2269,150 @@ const flattenComments = (listing, postIdBase36) => {
   return out;
 };
 
-const fetchCommentsForPosts = async (ids, phaseLabel, secondSort = null) => {
+// /api/morechildren returns the hidden comments as a flat list (parent_id keeps the tree), possibly with further stubs.
+const flattenMoreChildren = (res, postIdBase36, more) => {
+  const things = res?.json?.data?.things || [];
+  const out = [];
+  for (const node of things) {
+    if (node.kind === "more") collectMore(node, more);
+    else if (node.kind === "t1") out.push(commentRow(node.data || {}, postIdBase36));
+  }
+  return out;
+};
+
+const fetchCommentsForPosts = async (ids, phaseLabel, secondSort = null, stats = null) => {
   const idsArr = Array.from(new Set(ids.filter(Boolean)));
   let total = 0;
+  if (stats) stats.comment_targets += idsArr.length;
+
+  // Expands "more" stubs in batches of MORE_CHUNK ids, within --more-thread-budget requests for this thread and
+  // --more-budget for the whole run. Returns the number of requests spent and the ids left unexpanded.
+  const expandMore = async (postId, map, more, sort) => {
+    const pending = new Set(more.ids.filter((id) => !map.has(id)));
+    let requests = 0;
+    while (pending.size && requests < opts.moreThreadBudget && moreRequestsThisRun < opts.moreBudget) {
+      const chunk = Array.from(pending).slice(0, MORE_CHUNK);
+      requests++;
+      moreRequestsThisRun++;
+      const next = { ids: [], unexpandable: 0 };
+      try {
+        const res = await fetchMoreChildren(postId, chunk, sort);
+        for (const c of flattenMoreChildren(res, postId, next)) {
+          if (!map.has(c.id) && stats) stats.more_comments++;
+          map.set(c.id, c);
+        }
+      } catch (e) {
+        console.error(`morechildren fail post=${postId}:`, e.message || e);
+        break;
+      } finally {
+        if (stats) stats.more_requests++;
+      }
+      for (const id of chunk) pending.delete(id);
+      for (const id of next.ids) if (!map.has(id)) pending.add(id);
+      more.unexpandable += next.unexpandable;
+    }
+    return { requests, pending: pending.size + more.unexpandable };
+  };
 
   const fetchAndMergeForPost = async (postId, sorts) => {
     const map = new Map();
+    const post = selectPostSubredditSql.get(postId);
+    const subreddit = post?.subreddit ?? null;
+    const more = { ids: [], unexpandable: 0 };
+    let numComments = null;
 
     for (const s of sorts) {
       const listing = await fetchCommentsForPost(postId, s);
-      const flat = flattenComments(listing, postId);
+      numComments ??= listing?.[0]?.data?.children?.[0]?.data?.num_comments ?? null;
+      const flat = flattenComments(listing, postId, more);
       for (const c of flat) map.set(c.id, c);
     }
-
-    const mirrors = [];
-    for (const c of map.values()) {
-      const firstTimeThisRun = !commentsSeriesBumpedThisRun.has(c.id);
-      const p = upsertCommentWithSeries(c, firstTimeThisRun);
-      commentsSeenThisRun.add(c.id);
-      commentsSeriesBumpedThisRun.add(c.id);
-      if (p && typeof p.then === "function") mirrors.push(p);
-    }
-    if (mirrors.length) await Promise.allSettled(mirrors);
-
+    const expansion = await expandMore(postId, map, more, sorts[0]);
+
+    await writeComments(Array.from(map.values()), { stats, subreddit });
+
+    numComments ??= post?.num_comments ?? null;
+    upsertThreadCoverageSql.run({
+      post_id: postId,
+      fetched: map.size,
+      num_comments: numComments,
+      more_expanded: expansion.requests,
+      more_pending: expansion.pending,
+      checked_at: nowSec(),
+    });
+    if (stats && numComments && map.size < numComments * THREAD_COMPLETE_RATIO) stats.incomplete_threads++;
     return map.size;
   };
 
-  for (const grp of chunk(idsArr, opts.concurrency)) {
-    logv(`comments:${phaseLabel} batch=${grp.length} remaining≈${idsArr.length - total}`);
-    await Promise.all(grp.map(async (id) => {
+  // --concurrency workers pull from one queue; pacing itself is left to the shared rate limiter.
+  let next = 0;
+  const worker = async () => {
+    while (next < idsArr.length) {
+      const id = idsArr[next++];
       try {
         const sorts = ["confidence", ...(secondSort ? [secondSort] : [])];
         await fetchAndMergeForPost(id, sorts);
         total += 1;
+        if (total % 25 === 0) logv(`comments:${phaseLabel} done=${total} remaining≈${idsArr.length - next}`);
       } catch (e) {
         console.error(`comments:${phaseLabel} fail id=${id}:`, e.message || e);
       }
-    }));
-  }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(opts.concurrency, idsArr.length) }, worker));
 
   logv(`comments:${phaseLabel} done targets=${idsArr.length}`);
   return { targets: idsArr.length };
 };
 
 const idsFromSqliteWindow = (windowStartSec) => {
-  const rows = sqlite.prepare(`SELECT id FROM posts WHERE created_utc >= ?`).all(windowStartSec);
-  return rows.map(r => r.id);
+  return sqlite.prepare(`SELECT id, subreddit FROM posts WHERE created_utc >= ?`).all(windowStartSec);
 };
 
 const idsFromPgWindow = async (windowStartSec) => {
   if (!pg) return [];
   try {
-    const { rows } = await pg.query(`SELECT id FROM posts WHERE created_utc >= $1`, [windowStartSec]);
-    return rows.map(r => r.id);
+    const { rows } = await pg.query(`SELECT id, subreddit FROM posts WHERE created_utc >= $1`, [windowStartSec]);
+    return rows;
   } catch (e) {
     console.error("pg window ids fail:", e.message || e);
     return [];
   }
 };
 
+// Splits the recheck window (SQLite ∪ PG) between the configured subreddits by posts.subreddit.
+// Rows that match none go to a meta listing (r/all) if one is configured, or to the only
+// configured subreddit, so single-subreddit databases keep rechecking everything in the window.
+const recheckIdsBySubreddit = async (windowStartSec) => {
+  const sqliteRows = idsFromSqliteWindow(windowStartSec);
+  const pgRows = await idsFromPgWindow(windowStartSec);
+
+  const out = new Map(opts.subreddits.map((s) => [subKey(s), []]));
+  const fallback = opts.subreddits.find((s) => META_SUBREDDITS.has(subKey(s)))
+    || (opts.subreddits.length === 1 ? opts.subreddits[0] : null);
+
+  const seen = new Set();
+  let unassigned = 0;
+  for (const r of [...sqliteRows, ...pgRows]) {
+    if (seen.has(r.id)) continue;
+    seen.add(r.id);
+    const k = subKey(r.subreddit);
+    if (out.has(k) && !META_SUBREDDITS.has(k)) out.get(k).push(r.id);
+    else if (fallback) out.get(subKey(fallback)).push(r.id);
+    else unassigned++;
+  }
+
+  logv(`recheck: sqlite=${sqliteRows.length} pg=${pgRows.length} union=${seen.size} unassigned=${unassigned}`);
+  return out;
+};
+
 const postCompletionWebhook = async (url, payload) => {
   try {
     const res = await fetchWithTimeout(
       url,
       {
         method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          "Accept": "application/json",
-          "User-Agent": UA,
-        },
+        headers: webhookHeaders(JSON.stringify(payload)),
         body: JSON.stringify(payload),
       },
       opts.webhookTimeoutMs
@@ -898,7 +2427,8 @@ const postCompletionWebhook = async (url, payload) => {
   }
 };
 
-const scanNewAndUpsert = async () => {
+const scanNewAndUpsert = async (sub) => {
+  const stats = statsFor(sub);
   const maxBackCutoff = nowSec() - opts.daysBack * 86400;
   const startCutoff = Math.max(parseWhen(opts.start) ?? 0, maxBackCutoff);
   const endCutoff = parseWhen(opts.end) ?? Infinity;
@@ -913,12 +2443,14 @@ const scanNewAndUpsert = async () => {
   let pages = 0;
   let postsSeen = 0;
   const commentTargets = [];
+  const endScan = startPhase("scan");
 
   while (true) {
-    const page = await fetchNewPage(opts.subreddit, after);
+    const page = await fetchNewPage(sub, after);
     const children = (page && page.data && page.data.children) ? page.data.children : [];
     if (!children.length) break;
 
+    const pageRows = [];
     for (const child of children) {
       if (child.kind !== "t3") continue;
       const d = child.data;
@@ -939,7 +2471,7 @@ const scanNewAndUpsert = async () => {
         subreddit: d.subreddit,
         title: d.title ?? null,
         title_norm: normTitle(d.title),
-        author: d.author ?? null,
+        author: authorOf(d.author),
         distinguished: d.distinguished || null,
         created_utc: cu,
         score: Number.isFinite(d.score) ? d.score : null,
@@ -961,11 +2493,11 @@ const scanNewAndUpsert = async () => {
         removed_at: null,
         locked_at: null,
         last_checked: nowSec(),
-        score_series: null,
       };
 
-      await upsertPostWithTransitions(row);
+      pageRows.push(row);
       postsSeen++;
+      stats.posts_seen++;
       commentTargets.push(d.id);
 
       console.log(
@@ -975,37 +2507,41 @@ const scanNewAndUpsert = async () => {
       if (opts.maxPosts && postsSeen >= opts.maxPosts) { stopPaging = true; break; }
     }
 
+    await writePosts(pageRows, stats);
     pages++;
+    stats.pages++;
     if (opts.maxPages && pages >= opts.maxPages) break;
     if (stopPaging) break;
     after = page?.data?.after || null;
     if (!after) break;
   }
 
+  endScan();
+
   if (!opts.noComments && commentTargets.length) {
     const targets = opts.initialCommentLimit ? commentTargets.slice(0, opts.initialCommentLimit) : commentTargets;
-    await fetchCommentsForPosts(targets, "initial");
+    await timed("comments_initial", () => fetchCommentsForPosts(targets, `initial:${sub}`, null, stats));
   }
 
   return { pages, postsSeen, commentTargets };
 };
 
-const recheckWindowAndUpsert = async () => {
-  const windowStart = nowSec() - opts.daysBack * 86400;
-  const sqliteIds = idsFromSqliteWindow(windowStart);
-  const pgIds = await idsFromPgWindow(windowStart);
-  const union = Array.from(new Set([...sqliteIds, ...pgIds]));
-  const recheckIds = opts.maxPosts ? union.slice(0, opts.maxPosts) : union;
+const recheckWindowAndUpsert = async (sub, windowIds) => {
+  const stats = statsFor(sub);
+  const recheckIds = opts.maxPosts ? windowIds.slice(0, opts.maxPosts) : windowIds;
+  stats.recheck_ids += recheckIds.length;
 
-  logv(`recheck: sqlite=${sqliteIds.length} pg=${pgIds.length} union=${union.length} use=${recheckIds.length}`);
+  logv(`recheck:${sub} window=${windowIds.length} use=${recheckIds.length}`);
 
   let postUpdates = 0;
   let postBatches = 0;
+  const endRecheck = startPhase("recheck");
 
   for (const grp of chunk(recheckIds, 100)) {
     try {
       const info = await fetchApiInfoPostBatch(grp);
       const posts = (info && info.data && info.data.children) ? info.data.children : [];
+      const batchRows = [];
       for (const p of posts) {
         if (p.kind !== "t3") continue;
         const d = p.data;
@@ -1022,7 +2558,7 @@ const recheckWindowAndUpsert = async () => {
           subreddit: d.subreddit,
           title: d.title ?? null,
           title_norm: normTitle(d.title),
-          author: d.author ?? null,
+          author: authorOf(d.author),
           distinguished: d.distinguished || null,
           created_utc: Number(d.created_utc || 0),
           score: Number.isFinite(d.score) ? d.score : null,
@@ -1044,150 +2580,950 @@ const recheckWindowAndUpsert = async () => {
           removed_at: null,
           locked_at: null,
           last_checked: nowSec(),
-          score_series: null,
         };
-        await upsertPostWithTransitions(row);
-        postUpdates++;
+        batchRows.push(row);
       }
+      await writePosts(batchRows, stats);
+      postUpdates += batchRows.length;
+      stats.recheck_post_updates += batchRows.length;
       postBatches++;
-      logv(`recheck: batch=${postBatches} updated=${postUpdates}`);
+      stats.recheck_post_batches++;
+      logv(`recheck:${sub} batch=${postBatches} updated=${postUpdates}`);
     } catch (e) {
       console.error("recheck api/info batch fail:", e.message || e);
     }
   }
 
+  endRecheck();
+
   if (!opts.noRecheckComments) {
     const targets = opts.recheckCommentLimit ? recheckIds.slice(0, opts.recheckCommentLimit) : recheckIds;
     if (targets.length) {
-      await fetchCommentsForPosts(targets, "recheck", "new");
+      await timed("comments_recheck", () => fetchCommentsForPosts(targets, `recheck:${sub}`, "new", stats));
     }
   }
 
   return { postUpdates, postBatches, ids: recheckIds.length };
 };
 
-const reportHeuristics = () => {
-  console.log("=== Heuristic Report (last window) ===");
-  const windowStart = nowSec() - opts.daysBack * 86400;
-
-  try {
-    const rows = sqlite.prepare(`
-      SELECT link_flair_text AS flair,
-             COUNT(*) AS posts,
-             SUM(removed_by_category IS NOT NULL) AS removed,
-             ROUND(100.0 * SUM(removed_by_category IS NOT NULL)/COUNT(*), 1) AS pct_removed,
-             SUM(locked=1) AS locked_cnt,
-             ROUND(100.0 * SUM(locked=1)/COUNT(*), 1) AS pct_locked
-      FROM posts
-      WHERE created_utc >= ?
-      GROUP BY link_flair_text
-      HAVING posts >= 5
-      ORDER BY pct_removed DESC, posts DESC
-      LIMIT 20
-    `).all(windowStart);
-    console.log("--- Removal/Lock rate by flair (>=5 posts) ---");
-    for (const r of rows) {
-      console.log(`flair="${r.flair || ""}" posts=${r.posts} removed=${r.removed} (${r.pct_removed}%) locked=${r.locked_cnt} (${r.pct_locked}%)`);
+// Report sections share one scope ({ start, sub }); each returns plain rows so every output format
+// is rendered from the same data. `line` keeps the console text format.
+const POST_SCOPE = `created_utc >= @start AND (@sub IS NULL OR lower(subreddit) = @sub)`;
+const P_SCOPE = `p.created_utc >= @start AND (@sub IS NULL OR lower(p.subreddit) = @sub)`;
+
+// removed_by_category values reddit uses; anything else is bucketed as "other". "removed" never comes from reddit:
+// it is a comment whose body became [removed] without a category (a [deleted] body counts as "deleted").
+const REMOVAL_CATEGORIES = ["moderator", "automod_filtered", "deleted", "reddit", "anti_evil_ops", "copyright_takedown", "removed"];
+const COMMENT_CATEGORY = `COALESCE(c.removed_by_category, c.body_state)`;
+
+// "deleted" is the author deleting their own post/comment; --exclude-author-deletions keeps it out of removal counts.
+const notAuthorDeleted = (cat) => (opts.excludeAuthorDeletions ? ` AND COALESCE(${cat}, '') <> 'deleted'` : "");
+const removedSql = (cat) => `(${cat} IS NOT NULL${notAuthorDeleted(cat)})`;
+
+// One cat_<category> column per category; `agg` turns the match condition into the section's aggregate.
+const categoryCountsSql = (cat, agg = (cond) => `SUM(${cond})`) => [
+  ...REMOVAL_CATEGORIES.map((k) => `${agg(`${cat} = '${k}'`)} AS cat_${k}`),
+  `${agg(`${cat} NOT IN (${REMOVAL_CATEGORIES.map((k) => `'${k}'`).join(", ")})`)} AS cat_other`,
+].join(",\n             ");
+
+// Drops categories that are zero in every row and adds pct_<category> against `totalKey`.
+const withCategories = (rows, totalKey) => {
+  const used = [...REMOVAL_CATEGORIES, "other"].filter((k) => rows.some((r) => r[`cat_${k}`]));
+  return rows.map((r) => {
+    const out = {};
+    for (const [k, v] of Object.entries(r)) if (!k.startsWith("cat_")) out[k] = v;
+    for (const k of used) {
+      out[`cat_${k}`] = r[`cat_${k}`] || 0;
+      if (totalKey) out[`pct_cat_${k}`] = r[totalKey] ? Math.round(1000 * (out[`cat_${k}`] / r[totalKey])) / 10 : 0;
     }
-  } catch (e) { console.error("report flair:", e.message || e); }
+    return out;
+  });
+};
 
-  try {
-    const rows = sqlite.prepare(`
-      SELECT domain,
-             COUNT(*) AS posts,
-             SUM(removed_by_category IS NOT NULL) AS removed,
-             ROUND(100.0 * SUM(removed_by_category IS NOT NULL)/COUNT(*), 1) AS pct_removed
-      FROM posts
-      WHERE created_utc >= ?
-      GROUP BY domain
-      HAVING posts >= 5
-      ORDER BY pct_removed DESC, posts DESC
-      LIMIT 20
-    `).all(windowStart);
-    console.log("--- Removal rate by domain (>=5 posts) ---");
-    for (const r of rows) {
-      console.log(`domain="${r.domain || ""}" posts=${r.posts} removed=${r.removed} (${r.pct_removed}%)`);
+const categoryOf = (cat) => (cat == null ? null : REMOVAL_CATEGORIES.includes(cat) ? cat : "other");
+
+// Nearest-rank percentile over an ascending array.
+const percentile = (sorted, p) => (sorted.length ? sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)] : null);
+
+// rows: { grp, cat, latency, resolution, first_sight }. Latency runs from created_utc to the first run that saw the
+// removal; resolution is how long before that the last kept snapshot still saw it up. first_sight (removed_at =
+// first_seen) is exact; a missing resolution otherwise only means trimming/downsampling dropped the earlier points.
+const latencyRows = (rows, label, countKey) => {
+  const groups = new Map();
+  for (const r of rows) {
+    if (!groups.has(r.grp)) groups.set(r.grp, []);
+    groups.get(r.grp).push(r);
+  }
+  const out = [];
+  for (const [grp, items] of groups) {
+    if (items.length < 3) continue;
+    const lat = items.map((r) => r.latency).sort((a, b) => a - b);
+    const res = items.filter((r) => !r.first_sight).map((r) => r.resolution).filter((v) => v != null).sort((a, b) => a - b);
+    const firstSight = items.filter((r) => r.first_sight).length;
+    const row = {
+      [label]: grp,
+      [countKey]: items.length,
+      p50_latency_s: percentile(lat, 50),
+      p90_latency_s: percentile(lat, 90),
+      p99_latency_s: percentile(lat, 99),
+      p50_resolution_s: percentile(res, 50),
+      p90_resolution_s: percentile(res, 90),
+      removed_when_first_seen: firstSight,
+      resolution_unknown: items.length - firstSight - res.length,
+    };
+    for (const r of items) row[`cat_${categoryOf(r.cat)}`] = (row[`cat_${categoryOf(r.cat)}`] || 0) + 1;
+    out.push(row);
+  }
+  return withCategories(out.sort((a, b) => a.p50_latency_s - b.p50_latency_s).slice(0, 20));
+};
+
+const latencyLine = (label, countKey) => (r) =>
+  `${label}="${r[label] || ""}" ${countKey}=${r[countKey]} latency p50/p90/p99=${r.p50_latency_s}/${r.p90_latency_s}/${r.p99_latency_s}s ` +
+  `resolution p50/p90=${r.p50_resolution_s ?? "-"}/${r.p90_resolution_s ?? "-"}s removed_when_first_seen=${r.removed_when_first_seen} ` +
+  `resolution_unknown=${r.resolution_unknown}${categoriesLine(r)}`;
+
+const SURVIVAL_HOURS = [1, 3, 6, 12, 24, 48];
+
+// Kaplan-Meier estimate of "still up after h hours". subjects: { t, event } with t in seconds since created_utc;
+// event=false means the post was still up at t (last check) and is censored there. Horizons nobody was followed
+// up to come back null.
+const kmSurvival = (subjects) => {
+  const sorted = subjects.slice().sort((a, b) => a.t - b.t);
+  const maxT = sorted.length ? sorted[sorted.length - 1].t : -1;
+  const out = {};
+  let atRisk = sorted.length;
+  let surv = 1;
+  let i = 0;
+  for (const h of SURVIVAL_HOURS) {
+    while (i < sorted.length && sorted[i].t <= h * 3600) {
+      const t = sorted[i].t;
+      let events = 0;
+      let leaving = 0;
+      for (; i < sorted.length && sorted[i].t === t; i++, leaving++) if (sorted[i].event) events++;
+      if (atRisk) surv *= 1 - events / atRisk;
+      atRisk -= leaving;
     }
-  } catch (e) { console.error("report domain:", e.message || e); }
+    out[`up_${h}h_pct`] = maxT >= h * 3600 ? Math.round(1000 * surv) / 10 : null;
+  }
+  return out;
+};
 
-  try {
-    const rows = sqlite.prepare(`
-      SELECT link_flair_text AS flair,
-             COUNT(*) AS removed_posts,
-             ROUND(AVG(CASE WHEN removed_at IS NOT NULL THEN (removed_at - first_seen) END), 0) AS avg_latency_s
+const survivalSection = (key, col, label) => ({
+  key,
+  title: `Survival: % of posts still up N hours after posting, by ${label} (Kaplan-Meier, >=5 posts)`,
+  rows: (scope) => {
+    const groups = new Map();
+    for (const r of sqlite.prepare(`
+      SELECT ${col} AS grp, created_utc, removed_at, removed_by_category, COALESCE(last_checked, first_seen) AS last_seen
       FROM posts
-      WHERE created_utc >= ? AND removed_at IS NOT NULL
-      GROUP BY link_flair_text
-      HAVING removed_posts >= 3
-      ORDER BY avg_latency_s ASC
-      LIMIT 20
-    `).all(windowStart);
-    console.log("--- Avg removal latency by flair (>=3 removed) ---");
-    for (const r of rows) {
-      console.log(`flair="${r.flair || ""}" removed_posts=${r.removed_posts} avg_latency_s=${r.avg_latency_s}`);
+      WHERE ${POST_SCOPE} AND created_utc IS NOT NULL
+    `).iterate(scope)) {
+      // An excluded author deletion ends observation without counting as a removal.
+      const event = r.removed_at != null && !(opts.excludeAuthorDeletions && r.removed_by_category === "deleted");
+      const t = Math.max(0, (r.removed_at ?? r.last_seen ?? r.created_utc) - r.created_utc);
+      if (!groups.has(r.grp)) groups.set(r.grp, []);
+      groups.get(r.grp).push({ t, event });
     }
-  } catch (e) { console.error("report latency:", e.message || e); }
+    return Array.from(groups, ([grp, subjects]) => ({
+      [label]: grp,
+      posts: subjects.length,
+      removed: subjects.filter((x) => x.event).length,
+      ...kmSurvival(subjects),
+    }))
+      .filter((r) => r.posts >= 5)
+      .sort((a, b) => (a.up_24h_pct ?? 101) - (b.up_24h_pct ?? 101) || b.posts - a.posts)
+      .slice(0, 20);
+  },
+  line: (r) => `${label}="${r[label] || ""}" posts=${r.posts} removed=${r.removed} up_after: ${
+    SURVIVAL_HOURS.map((h) => `${h}h=${r[`up_${h}h_pct`] ?? "-"}${r[`up_${h}h_pct`] != null ? "%" : ""}`).join(" ")}`,
+});
 
-  try {
-    const rows = sqlite.prepare(`
-      SELECT p.id, p.title, p.link_flair_text AS flair,
-             SUM(CASE WHEN c.created_utc BETWEEN p.created_utc AND (p.created_utc + 7200) AND c.removed_by_category IS NOT NULL THEN 1 ELSE 0 END) AS removed_2h,
-             SUM(CASE WHEN c.created_utc BETWEEN p.created_utc AND (p.created_utc + 7200) THEN 1 ELSE 0 END) AS total_2h
-      FROM posts p
-      LEFT JOIN comments c ON c.post_id = p.id
-      WHERE p.created_utc >= ?
-      GROUP BY p.id
-      HAVING total_2h >= 10
-      ORDER BY (1.0 * removed_2h)/total_2h DESC
-      LIMIT 20
-    `).all(windowStart);
-    console.log("--- Highest early (2h) comment removal rate (>=10 comments in 2h) ---");
-    for (const r of rows) {
-      const pct = r.total_2h ? Math.round(1000 * (r.removed_2h / r.total_2h)) / 10 : 0;
-      console.log(`post=${r.id} flair="${r.flair || ""}" early_removed=${r.removed_2h}/${r.total_2h} (${pct}%) title="${oneLine(r.title || "")}"`);
-    }
-  } catch (e) { console.error("report comments:", e.message || e); }
+const WEEKDAYS = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+let tzFormatter = null;
 
-  console.log("=== End Heuristic Report ===");
+// Hour (0-23) and weekday index (0 = Mon) of a unix time in --report-tz.
+const localHourWeekday = (ts) => {
+  if (!tzFormatter) tzFormatter = new Intl.DateTimeFormat("en-US", { timeZone: opts.reportTz, hour: "numeric", hourCycle: "h23", weekday: "short" });
+  const parts = Object.fromEntries(tzFormatter.formatToParts(new Date(ts * 1000)).map((x) => [x.type, x.value]));
+  return { hour: Number(parts.hour) % 24, weekday: WEEKDAYS.indexOf(parts.weekday) };
 };
 
-const shutdown = async () => {
-  try { if (pg) await pg.end(); } catch {}
-  try { if (sqlite && sqlite.open) sqlite.close(); } catch {}
+const newBucket = (extra) => ({ ...extra, posts: 0, removed: 0, locked: 0, latencies: [] });
+
+// The three time sections share one pass over the window's posts.
+const timeBucketCache = new WeakMap();
+const timeBuckets = (scope) => {
+  if (timeBucketCache.has(scope)) return timeBucketCache.get(scope);
+  const hours = Array.from({ length: 24 }, (_, hour) => newBucket({ hour }));
+  const weekdays = WEEKDAYS.map((weekday) => newBucket({ weekday }));
+  const grid = WEEKDAYS.map((weekday) => ({ weekday, cells: Array.from({ length: 24 }, () => newBucket({})) }));
+  for (const r of sqlite.prepare(`
+    SELECT created_utc, removed_at, locked, ${removedSql("removed_by_category")} AS removed
+    FROM posts
+    WHERE ${POST_SCOPE} AND created_utc IS NOT NULL
+  `).iterate(scope)) {
+    const { hour, weekday } = localHourWeekday(r.created_utc);
+    for (const b of [hours[hour], weekdays[weekday], grid[weekday].cells[hour]]) {
+      b.posts++;
+      if (r.removed) {
+        b.removed++;
+        if (r.removed_at != null) b.latencies.push(r.removed_at - r.created_utc);
+      }
+      if (r.locked) b.locked++;
+    }
+  }
+  const out = { hours, weekdays, grid };
+  timeBucketCache.set(scope, out);
+  return out;
 };
 
-const main = async () => {
-  const runStartMs = Date.now();
-  console.log(`[startup] version=${UAC}`);
-  console.log(`[startup] sqlite=${opts.dbPath}`);
-  console.log(`[startup] postgres=${opts.pgUrl ? pgDsnPretty(opts.pgUrl) : "disabled"}`);
+const bucketRow = ({ latencies, ...b }) => ({
+  ...b,
+  pct_removed: b.posts ? Math.round(1000 * (b.removed / b.posts)) / 10 : null,
+  pct_locked: b.posts ? Math.round(1000 * (b.locked / b.posts)) / 10 : null,
+  p50_latency_s: percentile(latencies.slice().sort((x, y) => x - y), 50),
+});
+
+const bucketLine = (r) =>
+  `posts=${r.posts} removed=${r.removed} (${r.pct_removed ?? "-"}%) locked=${r.locked} (${r.pct_locked ?? "-"}%) p50_latency_s=${r.p50_latency_s ?? "-"}`;
+
+// Repost detection runs over the window plus REPOST_LOOKBACK_DAYS before it (of the report's subreddit); a cluster
+// is reported when at least one of its posts falls in the window. A post matches another when their title_norm is
+// equal, their external_url is the same after normalizing, or their title token bigrams overlap by REPOST_JACCARD or
+// more.
+const REPOST_JACCARD = 0.6;
+const REPOST_LOOKBACK_DAYS = 90;
+// Titles shorter than this ("Help", "Question") say nothing about the post, for exact or similar matching.
+const REPOST_MIN_TOKENS = 3;
+// Titles, links and bigrams shared by more posts than this are boilerplate ("daily discussion", a site's
+// front page) and not used for pairing.
+const REPOST_MAX_POSTING = 50;
+
+const normUrl = (u) => {
+  try {
+    const url = new URL(u);
+    for (const k of Array.from(url.searchParams.keys())) if (/^(utm_|ref$|ref_src$|fbclid$|gclid$)/i.test(k)) url.searchParams.delete(k);
+    const host = url.hostname.toLowerCase().replace(/^(www|m|old|mobile)\./, "");
+    return `${host}${url.pathname.replace(/\/+$/, "")}${url.search}`;
+  } catch {
+    return String(u).trim().toLowerCase();
+  }
+};
+
+const titleTokens = (t) => String(t || "").toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+const titleShingles = (t) => {
+  const tokens = titleTokens(t);
+  if (tokens.length < REPOST_MIN_TOKENS) return null;
+  const out = new Set();
+  for (let i = 0; i + 1 < tokens.length; i++) out.add(`${tokens[i]} ${tokens[i + 1]}`);
+  return out;
+};
+
+const jaccard = (a, b) => {
+  let shared = 0;
+  for (const x of a) if (b.has(x)) shared++;
+  return shared / (a.size + b.size - shared);
+};
+
+const repostCache = new WeakMap();
+const repostClusters = (scope) => {
+  if (repostCache.has(scope)) return repostCache.get(scope);
+  const posts = sqlite.prepare(`
+    SELECT id, subreddit, title, title_norm, external_url, created_utc, removed_by_category, removed_at
+    FROM posts
+    WHERE created_utc >= @since AND (@sub IS NULL OR lower(subreddit) = @sub)
+    ORDER BY created_utc, id
+  `).all({ sub: scope.sub, since: scope.start - REPOST_LOOKBACK_DAYS * 86400 });
+
+  const byTitle = new Map();
+  const byUrl = new Map();
+  const byShingle = new Map();
+  const shingles = posts.map((p) => titleShingles(p.title));
+  const titleKeys = posts.map((p, i) => (shingles[i] && p.title_norm) || null);
+  const urlKeys = posts.map((p) => (p.external_url ? normUrl(p.external_url) : null));
+  posts.forEach((p, i) => {
+    for (const [index, key] of [[byTitle, titleKeys[i]], [byUrl, urlKeys[i]]]) {
+      if (!key) continue;
+      if (!index.has(key)) index.set(key, []);
+      index.get(key).push(i);
+    }
+    if (shingles[i]) for (const sh of shingles[i]) {
+      if (!byShingle.has(sh)) byShingle.set(sh, []);
+      byShingle.get(sh).push(i);
+    }
+  });
+  const usable = (list) => list && list.length <= REPOST_MAX_POSTING;
+  // How post i matches post j directly, or [] when it doesn't.
+  const matchKinds = (i, j) => {
+    const kinds = [];
+    if (titleKeys[i] && titleKeys[i] === titleKeys[j] && usable(byTitle.get(titleKeys[i]))) kinds.push("title");
+    if (urlKeys[i] && urlKeys[i] === urlKeys[j] && usable(byUrl.get(urlKeys[i]))) kinds.push("url");
+    if (shingles[i] && shingles[j] && jaccard(shingles[i], shingles[j]) >= REPOST_JACCARD) kinds.push("similar");
+    return kinds;
+  };
+
+  // Posts are taken oldest first; each joins the earliest cluster whose original it matches itself, so a
+  // cluster can't chain from one title or link to the next through posts in between.
+  const clusterOf = posts.map((_, i) => i);
+  const how = new Map(); // original -> Set of match kinds
+  posts.forEach((_, i) => {
+    const candidates = new Set();
+    for (const list of [byTitle.get(titleKeys[i]), byUrl.get(urlKeys[i])]) {
+      if (usable(list)) for (const j of list) if (j < i) candidates.add(clusterOf[j]);
+    }
+    if (shingles[i]) for (const sh of shingles[i]) {
+      const list = byShingle.get(sh);
+      if (usable(list)) for (const j of list) if (j < i) candidates.add(clusterOf[j]);
+    }
+    for (const root of Array.from(candidates).sort((a, b) => a - b)) {
+      const kinds = matchKinds(i, root);
+      if (!kinds.length) continue;
+      clusterOf[i] = root;
+      if (!how.has(root)) how.set(root, new Set());
+      for (const k of kinds) how.get(root).add(k);
+      break;
+    }
+  });
+
+  const members = new Map();
+  posts.forEach((p, i) => {
+    const r = clusterOf[i];
+    if (!members.has(r)) members.set(r, []);
+    members.get(r).push(p);
+  });
+  const isRemoved = (p) => p.removed_by_category != null && !(opts.excludeAuthorDeletions && p.removed_by_category === "deleted");
+  const clusters = [];
+  for (const [root, list] of members) {
+    if (list.length < 2 || !list.some((p) => p.created_utc >= scope.start)) continue;
+    const [first, ...reposts] = list;
+    const removedReposts = reposts.filter(isRemoved);
+    const lat = removedReposts.filter((p) => p.removed_at != null).map((p) => p.removed_at - p.created_utc).sort((a, b) => a - b);
+    clusters.push({
+      first_id: first.id,
+      title: first.title,
+      posts: list.length,
+      in_window: list.filter((p) => p.created_utc >= scope.start).length,
+      subreddits: Array.from(new Set(list.map((p) => p.subreddit))).join(","),
+      matched_by: Array.from(how.get(root) || []).sort().join(","),
+      span_h: Math.round((list[list.length - 1].created_utc - first.created_utc) / 360) / 10,
+      first_removed: isRemoved(first),
+      reposts: reposts.length,
+      reposts_removed: removedReposts.length,
+      pct_reposts_removed: Math.round(1000 * (removedReposts.length / reposts.length)) / 10,
+      p50_repost_latency_s: percentile(lat, 50),
+      first_ids: list.slice(0, 20).map((p) => p.id).join(","),
+    });
+  }
+  clusters.sort((a, b) => b.posts - a.posts || b.in_window - a.in_window);
+
+  // Window posts split into cluster originals, later reposts and posts with no match.
+  const groups = { original: [], repost: [], unique: [] };
+  for (const list of members.values()) {
+    list.forEach((p, k) => {
+      if (p.created_utc < scope.start) return;
+      groups[list.length < 2 ? "unique" : k === 0 ? "original" : "repost"].push(p);
+    });
+  }
+  const outcomes = Object.entries(groups).map(([kind, list]) => {
+    const removed = list.filter(isRemoved);
+    const lat = removed.filter((p) => p.removed_at != null).map((p) => p.removed_at - p.created_utc).sort((a, b) => a - b);
+    return {
+      kind,
+      posts: list.length,
+      removed: removed.length,
+      pct_removed: list.length ? Math.round(1000 * (removed.length / list.length)) / 10 : null,
+      p50_latency_s: percentile(lat, 50),
+      p90_latency_s: percentile(lat, 90),
+    };
+  });
+
+  const out = { clusters, outcomes };
+  repostCache.set(scope, out);
+  return out;
+};
+
+const TERM_STOPWORDS = new Set((
+  "a an and are as at be but by for from has have i if in is it its me my of on or so that the this to was we were " +
+  "what when where which who why will with you your"
+).split(" "));
+
+// Unigrams and bigrams of a title, each counted once per post; bigrams of two stopwords are dropped.
+const titleTerms = (titleNorm) => {
+  const tokens = titleTokens(titleNorm).filter((t) => t.length > 1 || /\d/.test(t));
+  const out = new Set();
+  tokens.forEach((t, i) => {
+    if (!TERM_STOPWORDS.has(t)) out.add(t);
+    const next = tokens[i + 1];
+    if (next && !(TERM_STOPWORDS.has(t) && TERM_STOPWORDS.has(next))) out.add(`${t} ${next}`);
+  });
+  return out;
+};
+
+// Smoothed (+0.5) log-odds ratio of a term appearing in removed vs kept posts, with its z-score. Positive z means
+// the term is more common in removed titles.
+const termCache = new WeakMap();
+const titleTermStats = (scope) => {
+  if (termCache.has(scope)) return termCache.get(scope);
+  const counts = new Map();
+  let nRemoved = 0;
+  let nKept = 0;
+  for (const p of sqlite.prepare(`
+    SELECT title_norm, removed_by_category FROM posts WHERE ${POST_SCOPE} AND title_norm IS NOT NULL
+  `).iterate(scope)) {
+    // Excluded author deletions are neither removed nor kept.
+    if (opts.excludeAuthorDeletions && p.removed_by_category === "deleted") continue;
+    const removed = p.removed_by_category != null;
+    if (removed) nRemoved++;
+    else nKept++;
+    for (const term of titleTerms(p.title_norm)) {
+      const c = counts.get(term) || { removed: 0, kept: 0 };
+      if (removed) c.removed++;
+      else c.kept++;
+      counts.set(term, c);
+    }
+  }
+  const a = 0.5;
+  const rows = [];
+  for (const [term, c] of counts) {
+    const posts = c.removed + c.kept;
+    if (posts < opts.termMinSupport) continue;
+    const logOdds = Math.log((c.removed + a) / (nRemoved - c.removed + a)) - Math.log((c.kept + a) / (nKept - c.kept + a));
+    const se = Math.sqrt(1 / (c.removed + a) + 1 / (nRemoved - c.removed + a) + 1 / (c.kept + a) + 1 / (nKept - c.kept + a));
+    rows.push({
+      term,
+      posts,
+      removed: c.removed,
+      pct_removed: Math.round(1000 * (c.removed / posts)) / 10,
+      log_odds: Math.round(1000 * logOdds) / 1000,
+      z: Math.round(100 * (logOdds / se)) / 100,
+    });
+  }
+  const out = {
+    removal: rows.filter((r) => r.z > 0).sort((x, y) => y.z - x.z).slice(0, 25),
+    survival: rows.filter((r) => r.z < 0).sort((x, y) => x.z - y.z).slice(0, 25),
+  };
+  termCache.set(scope, out);
+  return out;
+};
+
+const termLine = (r) => `term="${r.term}" posts=${r.posts} removed=${r.removed} (${r.pct_removed}%) log_odds=${r.log_odds} z=${r.z}`;
+
+// Flair history comes from the link_flair_text state events: a post's original flair is the old value of its
+// first change, the final flair is what it has now. Only the window's posts are grouped (idx_state_events_natural
+// leads with thing_type, thing_id, field), not the whole history.
+const flairCache = new WeakMap();
+const flairChanges = (scope) => {
+  if (flairCache.has(scope)) return flairCache.get(scope);
+  const rows = sqlite.prepare(`
+    WITH fc AS (
+      SELECT thing_id, MIN(id) AS first_id, MIN(observed_at) AS first_change_at, COUNT(*) AS changes
+      FROM state_events
+      WHERE thing_type = 'post' AND field = 'link_flair_text' AND thing_id IN (SELECT id FROM posts WHERE ${POST_SCOPE})
+      GROUP BY thing_id
+    )
+    SELECT p.link_flair_text AS final_flair, p.removed_at, p.locked_at, p.locked,
+           ${removedSql("p.removed_by_category")} AS removed,
+           fc.changes, fc.first_change_at,
+           (SELECT e.old_value FROM state_events e WHERE e.id = fc.first_id) AS original_flair
+    FROM posts p
+    LEFT JOIN fc ON fc.thing_id = p.id
+    WHERE ${P_SCOPE}
+  `).all(scope);
+
+  const tally = (list) => {
+    const removed = list.filter((r) => r.removed);
+    const locked = list.filter((r) => r.locked);
+    return {
+      posts: list.length,
+      removed: removed.length,
+      pct_removed: list.length ? Math.round(1000 * (removed.length / list.length)) / 10 : null,
+      locked: locked.length,
+      pct_locked: list.length ? Math.round(1000 * (locked.length / list.length)) / 10 : null,
+    };
+  };
+  // Removal/lock seen in the same run as the flair change or later; reddit gives no finer ordering.
+  const afterChange = (list) => ({
+    removed_after_change: list.filter((r) => r.removed && r.removed_at != null && r.removed_at >= r.first_change_at).length,
+    locked_after_change: list.filter((r) => r.locked && r.locked_at != null && r.locked_at >= r.first_change_at).length,
+  });
+
+  const changed = rows.filter((r) => r.changes);
+  const unchanged = rows.filter((r) => !r.changes);
+  const comparison = [
+    { kind: "flair_changed", ...tally(changed), ...afterChange(changed), changes: changed.reduce((n, r) => n + r.changes, 0) },
+    { kind: "flair_unchanged", ...tally(unchanged) },
+  ];
+
+  const transitions = new Map();
+  for (const r of changed) {
+    const k = JSON.stringify([r.original_flair, r.final_flair]);
+    if (!transitions.has(k)) transitions.set(k, []);
+    transitions.get(k).push(r);
+  }
+  const out = {
+    comparison,
+    transitions: Array.from(transitions, ([k, list]) => {
+      const [from, to] = JSON.parse(k);
+      return { from_flair: from, to_flair: to, ...tally(list), ...afterChange(list) };
+    })
+      .sort((a, b) => b.posts - a.posts || b.removed - a.removed)
+      .slice(0, 20),
+  };
+  flairCache.set(scope, out);
+  return out;
+};
+
+// Coverage of a thread's comments; num_comments also counts removed/deleted comments reddit no longer returns.
+const coverageOf = (fetched, numComments) => {
+  if (fetched == null || !numComments) return { coverage_pct: null, incomplete: false };
+  return {
+    coverage_pct: Math.min(100, Math.round(1000 * (fetched / numComments)) / 10),
+    incomplete: fetched < numComments * THREAD_COMPLETE_RATIO,
+  };
+};
+
+const categoriesLine = (r) => {
+  const parts = Object.keys(r).filter((k) => k.startsWith("cat_")).map((k) => {
+    const pct = r[`pct_${k}`];
+    return `${k.slice(4)}=${r[k]}${pct != null ? ` (${pct}%)` : ""}`;
+  });
+  return parts.length ? ` categories: ${parts.join(" ")}` : "";
+};
+
+const REPORT_SECTIONS = [
+  {
+    key: "removal_categories",
+    title: "Removals by category (share of all / of removed)",
+    rows: (scope) => {
+      const rows = sqlite.prepare(`
+        SELECT 'post' AS thing, removed_by_category AS category, COUNT(*) AS n
+        FROM posts
+        WHERE ${POST_SCOPE} AND removed_by_category IS NOT NULL
+        GROUP BY removed_by_category
+        UNION ALL
+        SELECT 'comment', ${COMMENT_CATEGORY}, COUNT(*)
+        FROM comments c
+        JOIN posts p ON p.id = c.post_id
+        WHERE ${P_SCOPE} AND ${COMMENT_CATEGORY} IS NOT NULL
+        GROUP BY ${COMMENT_CATEGORY}
+      `).all(scope);
+      const totals = sqlite.prepare(`
+        SELECT (SELECT COUNT(*) FROM posts WHERE ${POST_SCOPE}) AS post,
+               (SELECT COUNT(*) FROM comments c JOIN posts p ON p.id = c.post_id WHERE ${P_SCOPE}) AS comment
+      `).get(scope);
+      const removed = { post: 0, comment: 0 };
+      for (const r of rows) if (!(opts.excludeAuthorDeletions && r.category === "deleted")) removed[r.thing] += r.n;
+      return rows
+        .map((r) => {
+          const excluded = opts.excludeAuthorDeletions && r.category === "deleted";
+          return {
+            thing: r.thing,
+            category: r.category,
+            count: r.n,
+            pct_of_all: totals[r.thing] ? Math.round(1000 * (r.n / totals[r.thing])) / 10 : 0,
+            pct_of_removed: excluded || !removed[r.thing] ? null : Math.round(1000 * (r.n / removed[r.thing])) / 10,
+            ...(excluded ? { excluded: true } : {}),
+          };
+        })
+        .sort((a, b) => a.thing.localeCompare(b.thing) || b.count - a.count);
+    },
+    line: (r) => `${r.thing} category="${r.category}" count=${r.count} (${r.pct_of_all}% of all${r.pct_of_removed != null ? `, ${r.pct_of_removed}% of removed` : ""})${r.excluded ? " [excluded]" : ""}`,
+  },
+  {
+    key: "flair_rates",
+    title: "Removal/Lock rate by flair (>=5 posts)",
+    rows: (scope) => withCategories(sqlite.prepare(`
+      SELECT link_flair_text AS flair,
+             COUNT(*) AS posts,
+             SUM(${removedSql("removed_by_category")}) AS removed,
+             ROUND(100.0 * SUM(${removedSql("removed_by_category")})/COUNT(*), 1) AS pct_removed,
+             SUM(locked=1) AS locked_cnt,
+             ROUND(100.0 * SUM(locked=1)/COUNT(*), 1) AS pct_locked,
+             ${categoryCountsSql("removed_by_category")}
+      FROM posts
+      WHERE ${POST_SCOPE}
+      GROUP BY link_flair_text
+      HAVING posts >= 5
+      ORDER BY pct_removed DESC, posts DESC
+      LIMIT 20
+    `).all(scope), "posts"),
+    line: (r) => `flair="${r.flair || ""}" posts=${r.posts} removed=${r.removed} (${r.pct_removed}%) locked=${r.locked_cnt} (${r.pct_locked}%)${categoriesLine(r)}`,
+  },
+  {
+    key: "domain_rates",
+    title: "Removal rate by domain (>=5 posts)",
+    rows: (scope) => withCategories(sqlite.prepare(`
+      SELECT domain,
+             COUNT(*) AS posts,
+             SUM(${removedSql("removed_by_category")}) AS removed,
+             ROUND(100.0 * SUM(${removedSql("removed_by_category")})/COUNT(*), 1) AS pct_removed,
+             ${categoryCountsSql("removed_by_category")}
+      FROM posts
+      WHERE ${POST_SCOPE}
+      GROUP BY domain
+      HAVING posts >= 5
+      ORDER BY pct_removed DESC, posts DESC
+      LIMIT 20
+    `).all(scope), "posts"),
+    line: (r) => `domain="${r.domain || ""}" posts=${r.posts} removed=${r.removed} (${r.pct_removed}%)${categoriesLine(r)}`,
+  },
+  {
+    key: "post_removal_latency",
+    title: "Post removal latency since posting by flair (>=3 removed)",
+    rows: (scope) => latencyRows(sqlite.prepare(`
+      SELECT p.link_flair_text AS grp, p.removed_by_category AS cat,
+             p.removed_at - p.created_utc AS latency,
+             p.removed_at - (SELECT MAX(s.ts) FROM post_snapshots s WHERE s.post_id = p.id AND s.ts < p.removed_at) AS resolution,
+             p.removed_at <= p.first_seen AS first_sight
+      FROM posts p
+      WHERE ${P_SCOPE} AND p.removed_at IS NOT NULL AND p.created_utc IS NOT NULL${notAuthorDeleted("p.removed_by_category")}
+    `).all(scope), "flair", "removed_posts"),
+    line: latencyLine("flair", "removed_posts"),
+  },
+  {
+    key: "comment_removal_latency",
+    title: "Comment removal latency since commenting by post flair (>=3 removed)",
+    rows: (scope) => latencyRows(sqlite.prepare(`
+      SELECT p.link_flair_text AS grp, ${COMMENT_CATEGORY} AS cat,
+             c.removed_at - c.created_utc AS latency,
+             c.removed_at - (SELECT MAX(s.ts) FROM comment_snapshots s WHERE s.comment_id = c.id AND s.ts < c.removed_at) AS resolution,
+             c.removed_at <= c.first_seen AS first_sight
+      FROM comments c
+      JOIN posts p ON p.id = c.post_id
+      WHERE ${P_SCOPE} AND c.removed_at IS NOT NULL AND c.created_utc IS NOT NULL${notAuthorDeleted(COMMENT_CATEGORY)}
+    `).all(scope), "flair", "removed_comments"),
+    line: latencyLine("flair", "removed_comments"),
+  },
+  survivalSection("survival_flair", "link_flair_text", "flair"),
+  survivalSection("survival_domain", "domain", "domain"),
+  {
+    key: "hour_of_day",
+    title: "Removal/Lock rate by hour posted",
+    rows: (scope) => timeBuckets(scope).hours.map(bucketRow),
+    line: (r) => `hour=${String(r.hour).padStart(2, "0")} ${bucketLine(r)}`,
+  },
+  {
+    key: "weekday",
+    title: "Removal/Lock rate by weekday posted",
+    rows: (scope) => timeBuckets(scope).weekdays.map(bucketRow),
+    line: (r) => `weekday=${r.weekday} ${bucketLine(r)}`,
+  },
+  {
+    key: "weekday_hour_heatmap",
+    title: "Removal % by weekday x hour posted (columns 00-23, - = no posts)",
+    rows: (scope) => timeBuckets(scope).grid.map((row) => ({
+      weekday: row.weekday,
+      ...Object.fromEntries(row.cells.map((b, h) => [`h${String(h).padStart(2, "0")}`, b.posts ? bucketRow(b).pct_removed : null])),
+    })),
+    line: (r) => `${r.weekday} ${Array.from({ length: 24 }, (_, h) => {
+      const v = r[`h${String(h).padStart(2, "0")}`];
+      return String(v == null ? "-" : Math.round(v)).padStart(4);
+    }).join("")}`,
+  },
+  {
+    key: "title_terms_removal",
+    title: "Title terms most associated with removal (log-odds z-score)",
+    rows: (scope) => titleTermStats(scope).removal,
+    line: termLine,
+  },
+  {
+    key: "title_terms_survival",
+    title: "Title terms most associated with staying up (log-odds z-score)",
+    rows: (scope) => titleTermStats(scope).survival,
+    line: termLine,
+  },
+  {
+    key: "repost_outcomes",
+    title: "Removal of reposts vs originals vs unmatched posts",
+    rows: (scope) => repostClusters(scope).outcomes,
+    line: (r) => `${r.kind} posts=${r.posts} removed=${r.removed} (${r.pct_removed ?? "-"}%) latency p50/p90=${r.p50_latency_s ?? "-"}/${r.p90_latency_s ?? "-"}s`,
+  },
+  {
+    key: "repost_clusters",
+    title: "Largest repost clusters (same title, same link or similar title)",
+    rows: (scope) => repostClusters(scope).clusters.slice(0, 20),
+    line: (r) => `first=${r.first_id} posts=${r.posts} (${r.in_window} in window) by=${r.matched_by} span_h=${r.span_h} first_removed=${r.first_removed} ` +
+      `reposts_removed=${r.reposts_removed}/${r.reposts} (${r.pct_reposts_removed}%) p50_repost_latency_s=${r.p50_repost_latency_s ?? "-"} title="${oneLine(r.title || "")}"`,
+  },
+  {
+    key: "flair_change_outcomes",
+    title: "Posts whose flair was changed vs not (removal/lock rates)",
+    rows: (scope) => flairChanges(scope).comparison,
+    line: (r) => `${r.kind} posts=${r.posts} removed=${r.removed} (${r.pct_removed ?? "-"}%) locked=${r.locked} (${r.pct_locked ?? "-"}%)` +
+      (r.kind === "flair_changed" ? ` changes=${r.changes} removed_after_change=${r.removed_after_change} locked_after_change=${r.locked_after_change}` : ""),
+  },
+  {
+    key: "flair_transitions",
+    title: "Most common original -> final flair transitions",
+    rows: (scope) => flairChanges(scope).transitions,
+    line: (r) => `"${r.from_flair ?? ""}" -> "${r.to_flair ?? ""}" posts=${r.posts} removed=${r.removed} (${r.pct_removed}%) ` +
+      `locked=${r.locked} (${r.pct_locked}%) removed_after_change=${r.removed_after_change} locked_after_change=${r.locked_after_change}`,
+  },
+  {
+    key: "post_state_changes",
+    title: "Post state changes after first sight (from state_events)",
+    rows: (scope) => withCategories([sqlite.prepare(`
+      SELECT COUNT(DISTINCT CASE WHEN e.field = 'removed_by_category' AND e.old_value IS NOT NULL AND e.new_value IS NULL THEN e.thing_id END) AS reinstated,
+             ${categoryCountsSql("e.old_value", (cond) => `COUNT(DISTINCT CASE WHEN e.field = 'removed_by_category' AND e.new_value IS NULL AND ${cond} THEN e.thing_id END)`)},
+             (SELECT COUNT(DISTINCT a.thing_id)
+                FROM state_events a
+                JOIN state_events b ON b.thing_id = a.thing_id AND b.id > a.id
+                JOIN posts p2 ON p2.id = a.thing_id
+               WHERE a.thing_type = 'post' AND a.field = 'removed_by_category' AND a.old_value IS NOT NULL AND a.new_value IS NULL
+                 AND b.field = 'removed_by_category' AND b.old_value IS NULL AND b.new_value IS NOT NULL
+                 AND p2.created_utc >= @start AND (@sub IS NULL OR lower(p2.subreddit) = @sub)) AS re_removed,
+             COUNT(DISTINCT CASE WHEN e.field = 'locked' AND e.old_value = '1' AND e.new_value = '0' THEN e.thing_id END) AS unlocked,
+             COUNT(DISTINCT CASE WHEN e.field = 'link_flair_text' THEN e.thing_id END) AS flair_changed
+      FROM state_events e
+      JOIN posts p ON p.id = e.thing_id
+      WHERE e.thing_type = 'post' AND ${P_SCOPE}
+    `).get(scope)], "reinstated"),
+    // Categories here are what reinstated posts had been removed as.
+    line: (r) => `reinstated=${r.reinstated} re_removed=${r.re_removed} unlocked=${r.unlocked} flair_changed=${r.flair_changed}${categoriesLine(r)}`,
+  },
+  {
+    key: "early_comment_removals",
+    title: "Highest early (2h) comment removal rate (>=10 comments in 2h)",
+    rows: (scope) => withCategories(sqlite.prepare(`
+      SELECT p.id, p.title, p.link_flair_text AS flair,
+             SUM(CASE WHEN c.created_utc BETWEEN p.created_utc AND (p.created_utc + 7200) AND ${removedSql(COMMENT_CATEGORY)} THEN 1 ELSE 0 END) AS removed_2h,
+             SUM(CASE WHEN c.created_utc BETWEEN p.created_utc AND (p.created_utc + 7200) THEN 1 ELSE 0 END) AS total_2h,
+             ${categoryCountsSql(COMMENT_CATEGORY, (cond) => `SUM(CASE WHEN c.created_utc BETWEEN p.created_utc AND (p.created_utc + 7200) AND ${cond} THEN 1 ELSE 0 END)`)},
+             MAX(tc.fetched) AS fetched,
+             MAX(COALESCE(tc.num_comments, p.num_comments)) AS num_comments
+      FROM posts p
+      LEFT JOIN comments c ON c.post_id = p.id
+      LEFT JOIN thread_coverage tc ON tc.post_id = p.id
+      WHERE ${P_SCOPE}
+      GROUP BY p.id
+      HAVING total_2h >= 10
+      ORDER BY (1.0 * removed_2h)/total_2h DESC
+      LIMIT 20
+    `).all(scope).map(({ fetched, num_comments, ...r }) => ({
+      ...r,
+      pct: r.total_2h ? Math.round(1000 * (r.removed_2h / r.total_2h)) / 10 : 0,
+      ...coverageOf(fetched, num_comments),
+    })), "total_2h"),
+    line: (r) => `post=${r.id} flair="${r.flair || ""}" early_removed=${r.removed_2h}/${r.total_2h} (${r.pct}%)${categoriesLine(r)}` +
+      `${r.incomplete ? ` [incomplete: ${r.coverage_pct}% of comments fetched]` : ""} title="${oneLine(r.title || "")}"`,
+  },
+  {
+    key: "incomplete_threads",
+    title: `Threads with under ${THREAD_COMPLETE_RATIO * 100}% of their comments fetched (most missing first)`,
+    rows: (scope) => sqlite.prepare(`
+      SELECT p.id, p.title, tc.fetched, tc.num_comments, tc.more_expanded, tc.more_pending, tc.checked_at
+      FROM thread_coverage tc
+      JOIN posts p ON p.id = tc.post_id
+      WHERE ${P_SCOPE} AND tc.num_comments > 0 AND tc.fetched < tc.num_comments * ${THREAD_COMPLETE_RATIO}
+      ORDER BY tc.num_comments - tc.fetched DESC
+      LIMIT 20
+    `).all(scope).map((r) => ({ ...r, coverage_pct: coverageOf(r.fetched, r.num_comments).coverage_pct, checked_at: iso(r.checked_at) })),
+    line: (r) => `post=${r.id} fetched=${r.fetched}/${r.num_comments} (${r.coverage_pct}%) more_requests=${r.more_expanded} ` +
+      `more_pending=${r.more_pending} title="${oneLine(r.title || "")}"`,
+  },
+];
+
+// sub=null reports on everything in the window (single subreddit or meta listing runs).
+const buildReport = (sub = null, daysBack = opts.daysBack) => {
+  const scope = { start: nowSec() - daysBack * 86400, sub: sub ? subKey(sub) : null };
+  const sections = REPORT_SECTIONS.map((s) => {
+    try {
+      return { key: s.key, title: s.title, rows: s.rows(scope) };
+    } catch (e) {
+      console.error(`report ${s.key}:`, e.message || e);
+      return { key: s.key, title: s.title, rows: [], error: String(e.message || e) };
+    }
+  });
+  return { subreddit: sub, window_start: iso(scope.start), days_back: daysBack, exclude_author_deletions: opts.excludeAuthorDeletions, timezone: opts.reportTz, sections };
+};
+
+const renderReportText = (reports) => reports.map((report) => {
+  const out = [`=== Heuristic Report${report.subreddit ? ` r/${report.subreddit}` : ""} (last window) ===`];
+  for (const section of report.sections) {
+    if (section.error) continue;
+    const spec = REPORT_SECTIONS.find((s) => s.key === section.key);
+    out.push(`--- ${section.title} ---`, ...section.rows.map(spec.line));
+  }
+  out.push("=== End Heuristic Report ===");
+  return out.join("\n");
+}).join("\n");
+
+const reportHeading = (report) => `Heuristic Report${report.subreddit ? ` r/${report.subreddit}` : ""} (since ${report.window_start})`;
+const reportColumns = (rows) => Array.from(new Set(rows.flatMap((r) => Object.keys(r))));
+const reportCell = (v) => (v == null ? "" : String(v));
+
+const renderReportMarkdown = (reports) => {
+  const md = (v) => reportCell(v).replace(/\|/g, "\\|").replace(/\r?\n/g, " ");
+  const out = [];
+  for (const report of reports) {
+    out.push(`# ${reportHeading(report)}`, "");
+    for (const section of report.sections) {
+      out.push(`## ${section.title}`, "");
+      if (section.error) { out.push(`_error: ${md(section.error)}_`, ""); continue; }
+      if (!section.rows.length) { out.push("_no rows_", ""); continue; }
+      const cols = reportColumns(section.rows);
+      out.push(`| ${cols.join(" | ")} |`, `| ${cols.map(() => "---").join(" | ")} |`);
+      for (const r of section.rows) out.push(`| ${cols.map((c) => md(r[c])).join(" | ")} |`);
+      out.push("");
+    }
+  }
+  return out.join("\n");
+};
 
-  await initPg();
+const renderReportHtml = (reports) => {
+  const esc = (v) => reportCell(v).replace(/[&<>"]/g, (ch) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" }[ch]));
+  const body = reports.map((report) => {
+    const sections = report.sections.map((section) => {
+      if (section.error) return `<h2>${esc(section.title)}</h2>\n<p class="err">error: ${esc(section.error)}</p>`;
+      if (!section.rows.length) return `<h2>${esc(section.title)}</h2>\n<p class="empty">no rows</p>`;
+      const cols = reportColumns(section.rows);
+      const head = `<tr>${cols.map((c) => `<th>${esc(c)}</th>`).join("")}</tr>`;
+      const rows = section.rows.map((r) => `<tr>${cols.map((c) => `<td>${esc(r[c])}</td>`).join("")}</tr>`).join("\n");
+      return `<h2>${esc(section.title)}</h2>\n<table>\n${head}\n${rows}\n</table>`;
+    });
+    return `<h1>${esc(reportHeading(report))}</h1>\n${sections.join("\n")}`;
+  });
+  return `<!doctype html>
+<html><head><meta charset="utf-8"><title>Heuristic Report</title>
+<style>
+body{font:14px/1.4 system-ui,sans-serif;margin:2em;color:#222}
+table{border-collapse:collapse;margin-bottom:1.5em}
+th,td{border:1px solid #ccc;padding:4px 8px;text-align:left}
+th{background:#f3f3f3}
+.err{color:#b00}.empty{color:#888}
+</style></head><body>
+${body.join("\n")}
+<p class="empty">generated ${new Date().toISOString()}</p>
+</body></html>
+`;
+};
+
+const reportsAsJson = (reports) => ({ generated_at: new Date().toISOString(), reports });
+
+const buildReports = () => (opts.subreddits.length === 1
+  ? [buildReport()]
+  : opts.subreddits.map((sub) => buildReport(META_SUBREDDITS.has(subKey(sub)) ? null : sub)));
+
+const REPORT_RENDERERS = {
+  text: renderReportText,
+  json: (reports) => JSON.stringify(reportsAsJson(reports), null, 2) + "\n",
+  markdown: renderReportMarkdown,
+  html: renderReportHtml,
+};
+
+// Text goes to the console as before; other formats go to --report-out, or stdout without it.
+const emitReports = (reports) => {
+  if (opts.reportFormat === "text" || opts.reportOut) console.log(renderReportText(reports));
+  if (opts.reportFormat === "text" && !opts.reportOut) return;
+
+  const doc = REPORT_RENDERERS[opts.reportFormat](reports);
+  if (!opts.reportOut) { process.stdout.write(doc); return; }
+
+  fs.mkdirSync(path.dirname(path.resolve(opts.reportOut)), { recursive: true });
+  fs.writeFileSync(opts.reportOut, doc);
+  console.log(`[report] ${opts.reportFormat} -> ${opts.reportOut}`);
+};
+
+const shutdown = async () => {
+  try { if (pg) await pg.end(); } catch {}
+  try { if (sqlite && sqlite.open) sqlite.close(); } catch {}
+};
+
+// Per-cycle counters; the daemon resets them before every cycle so each summary stands alone.
+const resetRunState = () => {
+  commentsSeriesBumpedThisRun.clear();
+  commentsSeenThisRun.clear();
+  newRemovalsThisRun = 0;
+  newLocksThisRun = 0;
+  newCommentRemovalsThisRun = 0;
+  newCommentLocksThisRun = 0;
+  stateEventsThisRun = 0;
+  reinstatementsThisRun = 0;
+  unlocksThisRun = 0;
+  moreRequestsThisRun = 0;
+  subStats.clear();
+  rateLimit.requests = 0;
+  rateLimit.throttledMs = 0;
+  phaseMs = {};
+  openPhase = null;
+  outboxBacklogId = outboxCountsSql.get().max_id;
+  outboxReplayedBatches = 0;
+  outboxReplayedRows = 0;
+  outboxStalled = false;
+  webhookEventsQueued = 0;
+  webhookDelivered = 0;
+  webhookFailed = 0;
+};
+
+const runCycle = async (cycle = 0) => {
+  const runStartMs = Date.now();
+  resetRunState();
   runWindowStart = nowSec() - opts.daysBack * 86400;
 
+  let exitCode = 0;
   let pages = 0, postsSeen = 0;
   let recheckPostUpdates = 0, recheckBatches = 0, recheckIds = 0;
+  let reports = null;
+  for (const sub of opts.subreddits) statsFor(sub);
 
   try {
-    const s = await scanNewAndUpsert();
-    pages = s.pages; postsSeen = s.postsSeen;
+    const backlog = outboxCountsSql.get();
+    if (pg && backlog.batches) {
+      console.log(`[outbox] replaying ${backlog.batches} pending PG batches (${backlog.rows} rows)`);
+      await flushPgOutbox();
+    }
 
-    const re = await recheckWindowAndUpsert();
-    recheckPostUpdates = re.postUpdates;
-    recheckBatches = re.postBatches;
-    recheckIds = re.ids;
+    for (const sub of opts.subreddits) {
+      try {
+        const s = await scanNewAndUpsert(sub);
+        pages += s.pages; postsSeen += s.postsSeen;
+      } catch (e) {
+        console.error(`scan r/${sub} fail:`, e.message || e);
+        exitCode = 1;
+      }
+    }
 
-    if (opts.report) reportHeuristics();
+    const windowIds = await recheckIdsBySubreddit(nowSec() - opts.daysBack * 86400);
+    for (const sub of opts.subreddits) {
+      try {
+        const re = await recheckWindowAndUpsert(sub, windowIds.get(subKey(sub)) || []);
+        recheckPostUpdates += re.postUpdates;
+        recheckBatches += re.postBatches;
+        recheckIds += re.ids;
+      } catch (e) {
+        console.error(`recheck r/${sub} fail:`, e.message || e);
+        exitCode = 1;
+      }
+    }
+
+    await timed("webhooks", deliverEventWebhooks);
+
+    if (opts.report || (opts.webhookReport && opts.webhookUrl)) {
+      await timed("report", () => {
+        reports = buildReports();
+        if (opts.report) emitReports(reports);
+      });
+    }
+
+    if (opts.pruneAfterRun) await timed("prune", () => applyRetention());
   } catch (e) {
     console.error("fatal:", e.message || e);
-    process.exitCode = 1;
+    exitCode = 1;
   } finally {
     const endMs = Date.now();
+    const outbox = outboxCountsSql.get();
+    const webhookCounts = deliveryCountsSql.get();
+    const perSubreddit = Object.fromEntries(opts.subreddits.map((sub) => [sub, statsFor(sub)]));
     const summary = {
-      subreddit: opts.subreddit,
+      subreddit: opts.subreddits.join(","),
+      subreddits: opts.subreddits,
+      per_subreddit: perSubreddit,
       sqlite_path: opts.dbPath,
       postgres: opts.pgUrl ? pgDsnPretty(opts.pgUrl) : null,
       storage_mode: pgConnected ? "sqlite+pg" : "sqlite-only",
+      mode: opts.daemon ? "daemon" : "oneshot",
+      ...(opts.daemon ? { cycle } : {}),
       pages,
       posts_seen: postsSeen,
       recheck_ids: recheckIds,
@@ -1198,35 +3534,1103 @@ const main = async () => {
       duration_ms: endMs - runStartMs,
       commentsSeenUnique: commentsSeenThisRun.size,
       commentSeriesBumped: commentsSeriesBumpedThisRun.size,
-      stateChanges: { newRemovals: newRemovalsThisRun, newLocks: newLocksThisRun },
+      stateChanges: {
+        newRemovals: newRemovalsThisRun,
+        newLocks: newLocksThisRun,
+        newCommentRemovals: newCommentRemovalsThisRun,
+        newCommentLocks: newCommentLocksThisRun,
+        reinstatements: reinstatementsThisRun,
+        unlocks: unlocksThisRun,
+        events: stateEventsThisRun,
+      },
+      rate_limit: rateLimitSummary(),
+      pg_outbox: {
+        queued_batches: outbox.batches,
+        queued_rows: outbox.rows,
+        parked_batches: outbox.parked,
+        replayed_batches: outboxReplayedBatches,
+        replayed_rows: outboxReplayedRows,
+      },
+      event_webhooks: {
+        queued: webhookEventsQueued,
+        delivered: webhookDelivered,
+        failed: webhookFailed,
+        pending: webhookCounts.pending || 0,
+        dead: webhookCounts.dead || 0,
+      },
+      timings_ms: { ...phaseMs },
       ua: UA,
       uac: UAC,
       host: os.hostname(),
       pid: process.pid,
-      exit_code: process.exitCode || 0,
+      exit_code: exitCode,
     };
 
     if (opts.webhookUrl) {
-      await postCompletionWebhook(opts.webhookUrl, summary);
+      await postCompletionWebhook(opts.webhookUrl, opts.webhookReport && reports ? { ...summary, report: reportsAsJson(reports) } : summary);
     }
 
     logKV({
       Summary: "",
+      ...(opts.daemon ? { cycle } : {}),
       pages,
       storage_mode: pgConnected ? "sqlite+pg" : "sqlite-only",
       posts_seen: postsSeen,
       recheck_ids: recheckIds,
       recheck_post_batches: recheckBatches,
       recheck_post_updates: recheckPostUpdates,
+      new_removals: newRemovalsThisRun,
+      new_locks: newLocksThisRun,
+      new_comment_removals: newCommentRemovalsThisRun,
+      state_events: stateEventsThisRun,
+      requests: rateLimit.requests,
+      ratelimit_remaining: rateLimit.remaining ?? "n/a",
+      throttled_ms: Math.round(rateLimit.throttledMs),
+      ...(opts.pgUrl ? { outbox_queued: outbox.rows, outbox_replayed: outboxReplayedRows } : {}),
+      ...(webhookEventsQueued || webhookCounts.pending ? { webhooks_delivered: webhookDelivered, webhooks_pending: webhookCounts.pending || 0 } : {}),
     });
+    logKV({ Timings: "", ...phaseMs });
+    recordRunMetrics({ exitCode, durationMs: endMs - runStartMs, perSubreddit, outboxRows: outbox.rows, outboxParked: outbox.parked });
+    writeMetricsTextfile();
+    if (opts.subreddits.length > 1) {
+      for (const [sub, st] of Object.entries(perSubreddit)) logKV({ Subreddit: sub, ...st });
+    }
+  }
+
+  return exitCode;
+};
+
+// Daemon stop handling: the first signal lets the running cycle finish, a second one exits at once.
+let stopRequested = false;
+let wakeDaemon = null;
+
+const daemonSleep = (ms) => new Promise((resolve) => {
+  const t = setTimeout(() => { wakeDaemon = null; resolve(); }, ms);
+  wakeDaemon = () => { clearTimeout(t); wakeDaemon = null; resolve(); };
+});
 
+const runDaemon = async () => {
+  console.log(`[daemon] interval=${opts.intervalMs}ms jitter<=${opts.jitterMs}ms`);
+  let cycle = 0;
+
+  while (!stopRequested) {
+    cycle++;
+    const cycleStartMs = Date.now();
+
+    if (opts.pgUrl && !pgConnected) {
+      try { await initPg(); } catch (e) { console.warn(`[storage] PG reconnect failed: ${e.message || e}`); }
+    }
+
+    try {
+      await runCycle(cycle);
+    } catch (e) {
+      console.error(`[daemon] cycle ${cycle} failed:`, e.message || e);
+    }
+    if (stopRequested) break;
+
+    // Anchored to the cycle start; a cycle that overran its interval is followed immediately.
+    const jitter = opts.jitterMs ? Math.floor(Math.random() * opts.jitterMs) : 0;
+    const waitMs = Math.max(0, cycleStartMs + opts.intervalMs + jitter - Date.now());
+    console.log(`[daemon] cycle ${cycle} done; next in ${Math.round(waitMs / 1000)}s`);
+    await daemonSleep(waitMs);
+  }
+
+  console.log("[daemon] stopped");
+};
+
+// --- sync / verify: SQLite is the source of truth, Postgres the mirror ---
+
+const SYNC_CHUNK = 1000;
+
+// Several SQLite files may mirror into one Postgres; verify only looks at PG rows of the subreddits this
+// file tracks (scope, given the placeholder of a lowercased subreddit array), so the others aren't "extra".
+const SUBS_SCOPE = (p) => `SELECT id FROM posts WHERE lower(subreddit) = ANY(${p})`;
+const BY_POST_SCOPE = (p) => `post_id IN (${SUBS_SCOPE(p)})`;
+
+// keys: [column, isText, expr?]; text keys compare with COLLATE "C" in PG so both sides order ids bytewise.
+// expr stands in for a nullable column so row-value comparisons never meet a NULL.
+const SYNC_TABLES = [
+  { table: "posts", keys: [["id", true]], cols: PG_POST_COLS, day: "created_utc", write: mirrorPostsPg, scope: (p) => `lower(subreddit) = ANY(${p})` },
+  { table: "comments", keys: [["id", true]], cols: PG_COMMENT_COLS, day: "created_utc", write: mirrorCommentsPg, scope: BY_POST_SCOPE },
+  {
+    table: "state_events",
+    keys: [["thing_type", true], ["thing_id", true], ["field", true], ["observed_at", false], ["new_value", true, "COALESCE(new_value, '')"]],
+    cols: PG_STATE_EVENT_COLS,
+    day: "observed_at",
+    write: mirrorStateEventsPg,
+    scope: BY_POST_SCOPE,
+  },
+  {
+    table: "revisions",
+    keys: [["thing_type", true], ["thing_id", true], ["field", true], ["observed_at", false]],
+    cols: PG_REVISION_COLS,
+    day: "observed_at",
+    write: mirrorRevisionsPg,
+    scope: BY_POST_SCOPE,
+  },
+  ...Object.entries(SNAPSHOT_TABLES).map(([kind, spec]) => ({
+    table: spec.table,
+    keys: [[spec.key, true], ["ts", false]],
+    cols: [spec.key, "ts", ...spec.cols],
+    day: "ts",
+    write: (client, rows) => upsertSnapshotRowsPg(client, kind, rows),
+    scope: spec.key === "post_id" ? BY_POST_SCOPE
+      : (p) => `comment_id IN (SELECT id FROM comments WHERE ${BY_POST_SCOPE(p)})`,
+  })),
+];
+
+const keyOf = (t, row) => t.keys.map(([k]) => String(row[k] ?? "")).join("|");
+const keyParams = (t, row) => t.keys.map(([k, isText]) => (isText ? row[k] ?? "" : Number(row[k])));
+const keySql = ([k, , expr]) => expr || k;
+
+// The mirror writers keep what PG already has in places (first_seen, ... and the append-only tables);
+// a repair has to make the PG row equal to SQLite's, so it overwrites every non-key column.
+const repairRowsPg = async (client, t, rows) => {
+  const keyCols = new Set(t.keys.map(([k]) => k));
+  const target = t.keys.map(([k, , expr]) => (expr ? `(${expr})` : k)).join(", ");
+  const set = t.cols.filter((c) => !keyCols.has(c)).map((c) => `${c}=EXCLUDED.${c}`);
+  await pgInsertMany(client, t.table, t.cols, lastByKey(rows, (r) => keyOf(t, r)),
+    `ON CONFLICT (${target}) ${set.length ? `DO UPDATE SET ${set.join(", ")}` : "DO NOTHING"}`,
+    (r) => t.cols.map((c) => r[c] ?? null));
+};
+
+// booleans, BIGINT-as-string and SQLite 0/1 all land on the same text form.
+const rowChecksum = (t, row) => crypto.createHash("md5")
+  .update(t.cols.map((c) => {
+    const v = row[c];
+    if (v == null) return "\u0000";
+    if (typeof v === "boolean") return v ? "1" : "0";
+    return String(v);
+  }).join("\u001f"))
+  .digest("hex");
+
+const sqliteChunk = (t, after) => {
+  const keyCols = t.keys.map(keySql);
+  const where = after ? `WHERE (${keyCols.join(",")}) > (${keyCols.map(() => "?").join(",")})` : "";
+  return sqlite.prepare(`SELECT ${t.cols.join(",")} FROM ${t.table} ${where} ORDER BY ${keyCols.join(",")} LIMIT ${SYNC_CHUNK}`)
+    .all(...(after ? keyParams(t, after) : []));
+};
+
+// PG rows in (after, upto] of the given subreddits; either bound may be open.
+const pgRange = async (client, t, subs, after, upto) => {
+  const keyExpr = `(${t.keys.map((key) => (key[1] ? `${keySql(key)} COLLATE "C"` : keySql(key))).join(",")})`;
+  const tuple = (base) => `(${t.keys.map((_, i) => `$${base + i + 1}`).join(",")})`;
+  const params = [subs];
+  const conds = [t.scope("$1")];
+  if (after) { conds.push(`${keyExpr} > ${tuple(params.length)}`); params.push(...keyParams(t, after)); }
+  if (upto) { conds.push(`${keyExpr} <= ${tuple(params.length)}`); params.push(...keyParams(t, upto)); }
+  const res = await client.query(
+    `SELECT ${t.cols.join(",")} FROM ${t.table} WHERE ${conds.join(" AND ")}`,
+    params
+  );
+  return res.rows;
+};
+
+const writeSyncChunk = async (client, t, rows, repair = false) => {
+  await client.query("BEGIN");
+  try {
+    if (repair) await repairRowsPg(client, t, rows);
+    else await t.write(client, rows);
+    await client.query("COMMIT");
+  } catch (e) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw e;
+  }
+};
+
+const runSyncCommand = async () => {
+  if (!pg) throw new Error("sync needs --pg-url / REDDIT_SCRAPER_PG_URL");
+  // Outbox batches older than this copy would only replay stale rows over it.
+  const outboxUpto = outboxCountsSql.get().max_id;
+
+  for (const t of SYNC_TABLES) {
+    const t0 = Date.now();
+    let copied = 0;
+    let after = null;
+    while (true) {
+      const rows = sqliteChunk(t, after);
+      if (!rows.length) break;
+      await writeSyncChunk(pg, t, rows);
+      copied += rows.length;
+      after = rows[rows.length - 1];
+      logv(`[sync] ${t.table}: ${copied} rows`);
+    }
+    console.log(`[sync] ${t.table}: ${copied} rows copied in ${Date.now() - t0}ms`);
+  }
+
+  const cleared = sqlite.prepare(`DELETE FROM pg_outbox WHERE id <= ?`).run(outboxUpto).changes;
+  if (cleared) console.log(`[sync] dropped ${cleared} pg_outbox batches covered by this sync`);
+  return 0;
+};
+
+const dailyCounts = async (client, t, subs) => {
+  const lite = sqlite.prepare(`SELECT CAST(${t.day} / 86400 AS INTEGER) AS d, COUNT(*) AS n FROM ${t.table} GROUP BY d`).all();
+  const remote = (await client.query(`SELECT (${t.day} / 86400)::bigint AS d, COUNT(*) AS n FROM ${t.table} WHERE ${t.scope("$1")} GROUP BY d`, [subs])).rows;
+  const byDay = new Map();
+  for (const r of lite) byDay.set(Number(r.d), { sqlite: r.n, pg: 0 });
+  for (const r of remote) {
+    const e = byDay.get(Number(r.d)) || { sqlite: 0 };
+    e.pg = Number(r.n);
+    byDay.set(Number(r.d), e);
+  }
+  return Array.from(byDay.entries())
+    .filter(([, e]) => e.sqlite !== e.pg)
+    .sort((a, b) => a[0] - b[0])
+    .map(([d, e]) => ({ day: iso(d * 86400).slice(0, 10), ...e }));
+};
+
+const verifyTable = async (client, t, subs, repair) => {
+  const out = { table: t.table, sqlite: 0, pg: 0, missing: 0, extra: 0, changed: 0, repaired: 0, days: [] };
+  const samples = [];
+  let after = null;
+
+  while (true) {
+    const rows = sqliteChunk(t, after);
+    const last = rows.length === SYNC_CHUNK ? rows[rows.length - 1] : null;
+    const remote = new Map((await pgRange(client, t, subs, after, last)).map((r) => [keyOf(t, r), r]));
+    out.sqlite += rows.length;
+    out.pg += remote.size;
+
+    const fix = [];
+    for (const r of rows) {
+      const k = keyOf(t, r);
+      const other = remote.get(k);
+      remote.delete(k);
+      if (!other) out.missing++;
+      else if (rowChecksum(t, r) !== rowChecksum(t, other)) out.changed++;
+      else continue;
+      fix.push(r);
+      if (samples.length < 5) samples.push(`${other ? "changed" : "missing"} ${k}`);
+    }
+    out.extra += remote.size;
+    for (const k of remote.keys()) if (samples.length < 5) samples.push(`extra ${k}`);
+
+    if (repair && fix.length) {
+      await writeSyncChunk(client, t, fix, true);
+      out.repaired += fix.length;
+    }
+    if (!last) break;
+    after = last;
+  }
+
+  out.days = await dailyCounts(client, t, subs);
+  out.samples = samples;
+  return out;
+};
+
+const runVerifyCommand = async () => {
+  if (!pg) throw new Error("verify needs --pg-url / REDDIT_SCRAPER_PG_URL");
+  let dirty = false;
+  const subs = sqlite.prepare(`SELECT DISTINCT lower(subreddit) AS s FROM posts`).all().map((r) => r.s);
+
+  for (const t of SYNC_TABLES) {
+    const r = await verifyTable(pg, t, subs, opts.repair);
+    logKV({ Verify: t.table, sqlite: r.sqlite, pg: r.pg, missing: r.missing, extra: r.extra, changed: r.changed, ...(opts.repair ? { repaired: r.repaired } : {}) });
+    for (const s of r.samples) console.log(`  ${s}`);
+    if (r.days.length) {
+      console.log(`  per-day count differences (${r.days.length} days${opts.repair ? ", before repair" : ""}):`);
+      for (const d of r.days.slice(0, 10)) console.log(`    ${d.day} sqlite=${d.sqlite} pg=${d.pg}`);
+    }
+    // Rows only in PG are left alone; a repair just re-copies what SQLite has.
+    if (r.extra || (!opts.repair && (r.missing || r.changed))) dirty = true;
+  }
+
+  console.log(dirty ? "[verify] backends differ" : "[verify] backends match");
+  return dirty ? 1 : 0;
+};
+
+// --- export: posts, comments and their series for a window, streamed to CSV or JSONL ---
+
+// Everything hangs off the posts in the window; `p` is always the posts alias.
+const EXPORT_TABLES = {
+  posts: { from: "posts p", alias: "p", order: "p.created_utc, p.id" },
+  comments: { from: "comments c JOIN posts p ON p.id = c.post_id", alias: "c", order: "c.post_id, c.created_utc, c.id" },
+  post_snapshots: { from: "post_snapshots s JOIN posts p ON p.id = s.post_id", alias: "s", order: "s.post_id, s.ts" },
+  comment_snapshots: {
+    from: "comment_snapshots s JOIN comments c ON c.id = s.comment_id JOIN posts p ON p.id = c.post_id",
+    alias: "s",
+    order: "s.comment_id, s.ts",
+  },
+  revisions: { from: "revisions r JOIN posts p ON p.id = r.post_id", alias: "r", order: "r.post_id, r.thing_id, r.id" },
+  state_events: { from: "state_events e JOIN posts p ON p.id = e.post_id", alias: "e", order: "e.id" },
+};
+
+// score_series is the pre-v4 JSON column; the snapshot tables carry its rows now.
+const EXPORT_HIDDEN = new Set(["score_series"]);
+
+const csvCell = (v) => {
+  if (v == null) return "";
+  const s = String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+const exportColumns = (table) => {
+  const all = sqlite.prepare(`PRAGMA table_info(${table})`).all().map((c) => c.name).filter((c) => !EXPORT_HIDDEN.has(c));
+  const wanted = opts.exportColumns[table];
+  if (!wanted) return all;
+  const unknown = wanted.filter((c) => !all.includes(c));
+  if (unknown.length) throw new Error(`unknown ${table} column(s): ${unknown.join(", ")} (have: ${all.join(", ")})`);
+  return wanted;
+};
+
+const exportTable = async (table, window, file) => {
+  const spec = EXPORT_TABLES[table];
+  const cols = exportColumns(table);
+  const stmt = sqlite.prepare(`
+    SELECT ${cols.map((c) => `${spec.alias}.${c}`).join(",")}
+    FROM ${spec.from}
+    WHERE p.created_utc >= @start AND p.created_utc <= @end
+      AND (@subs IS NULL OR lower(p.subreddit) IN (SELECT value FROM json_each(@subs)))
+    ORDER BY ${spec.order}
+  `);
+
+  const out = fs.createWriteStream(file);
+  const done = new Promise((resolve, reject) => { out.on("finish", resolve); out.on("error", reject); });
+  let buf = opts.exportFormat === "csv" ? `${cols.join(",")}\n` : "";
+  let rows = 0;
+
+  for (const r of stmt.iterate(window)) {
+    buf += opts.exportFormat === "csv"
+      ? `${cols.map((c) => csvCell(r[c])).join(",")}\n`
+      : `${JSON.stringify(r)}\n`;
+    rows++;
+    if (buf.length >= 65536) {
+      // A failed write (disk full, ...) never drains; `done` rejects with the error instead.
+      if (!out.write(buf)) await Promise.race([new Promise((r2) => out.once("drain", r2)), done]);
+      buf = "";
+    }
+  }
+  out.end(buf);
+  await done;
+  return { file: path.basename(file), rows, columns: cols };
+};
+
+// The newest migration that changed an exported table (revisions).
+const EXPORT_MIN_SCHEMA = 9;
+
+const runExportCommand = async () => {
+  if (!fs.existsSync(opts.dbPath)) throw new Error(`no database at ${opts.dbPath}`);
+  const schema = sqliteAppliedMigrations().pop()?.version ?? 0;
+  if (schema < EXPORT_MIN_SCHEMA) {
+    throw new Error(`sqlite schema v${schema} is older than export needs (v${EXPORT_MIN_SCHEMA}); run the scraper or \`migrate\` once`);
+  }
+  const subs = opts.subreddits.map(subKey);
+  const window = {
+    start: parseWhen(opts.start) ?? 0,
+    end: parseWhen(opts.end) ?? Number.MAX_SAFE_INTEGER,
+    subs: subs.length && !subs.some((s) => META_SUBREDDITS.has(s)) ? JSON.stringify(subs) : null,
+  };
+  const tables = opts.exportTables || Object.keys(EXPORT_TABLES);
+
+  fs.mkdirSync(opts.exportDir, { recursive: true });
+  const manifest = {
+    generated_at: new Date().toISOString(),
+    sqlite_path: opts.dbPath,
+    schema_version: schema,
+    format: opts.exportFormat,
+    window: {
+      start: window.start ? iso(window.start) : null,
+      end: opts.end ? iso(window.end) : null,
+      subreddits: window.subs ? subs : null,
+    },
+    tables: {},
+  };
+
+  for (const table of tables) {
+    const t0 = Date.now();
+    const res = await exportTable(table, window, path.join(opts.exportDir, `${table}.${opts.exportFormat}`));
+    manifest.tables[table] = res;
+    console.log(`[export] ${table}: ${res.rows} rows -> ${path.join(opts.exportDir, res.file)} (${Date.now() - t0}ms)`);
+  }
+
+  fs.writeFileSync(path.join(opts.exportDir, "manifest.json"), JSON.stringify(manifest, null, 2) + "\n");
+  console.log(`[export] manifest -> ${path.join(opts.exportDir, "manifest.json")}`);
+  return 0;
+};
+
+// Retention steps shared by SQLite (@cut) and Postgres ($1); each runs with its own cutoff. Posts older than
+// --prune-days go with everything hanging off them; snapshots keep the last point per hour/day past the
+// downsample ages; bodies past --body-retention-days are nulled but the rows stay. Postgres may hold other
+// SQLite files' subreddits too, so there every step is limited to this file's subreddits ($2, as in verify).
+const OLD = (c, s) => `created_utc < ${c}${s ? ` AND lower(subreddit) = ANY(${s})` : ""}`;
+const OLD_POSTS = (c, s) => `SELECT id FROM posts WHERE ${OLD(c, s)}`;
+const OF_SUBS = { post_id: (s) => `post_id IN (${SUBS_SCOPE(s)})`, comment_id: (s) => `comment_id IN (SELECT id FROM comments WHERE ${BY_POST_SCOPE(s)})` };
+const downsampleWhere = (table, key, bucket) => (c, s) => `
+  ts < ${c}${s ? ` AND ${OF_SUBS[key](s)}` : ""} AND EXISTS (
+    SELECT 1 FROM ${table} s2
+    WHERE s2.${key} = ${table}.${key} AND s2.ts > ${table}.ts AND s2.ts < ${c} AND s2.ts / ${bucket} = ${table}.ts / ${bucket})`;
+// A step's DELETE/UPDATE, and the COUNT a read-only dry run uses instead.
+const deleteStep = (table, where) => ({
+  sql: (c, s) => `DELETE FROM ${table} WHERE ${where(c, s)}`,
+  count: (c) => `SELECT COUNT(*) AS n FROM ${table} WHERE ${where(c)}`,
+});
+const nullStep = (table, col, where) => ({
+  sql: (c, s) => `UPDATE ${table} SET ${col} = NULL WHERE ${where(c, s)}`,
+  count: (c) => `SELECT COUNT(*) AS n FROM ${table} WHERE ${where(c)}`,
+});
+
+const pruneSteps = ({ sqliteOnly, now }) => {
+  const days = (n) => now - n * 86400;
+  const steps = [];
+  if (opts.pruneDays) {
+    const cut = days(opts.pruneDays);
+    steps.push(
+      { label: "comment_snapshots", cut, ...deleteStep("comment_snapshots", (c, s) => `comment_id IN (SELECT id FROM comments WHERE post_id IN (${OLD_POSTS(c, s)}))`) },
+      { label: "comments", cut, ...deleteStep("comments", (c, s) => `post_id IN (${OLD_POSTS(c, s)})`) },
+      { label: "post_snapshots", cut, ...deleteStep("post_snapshots", (c, s) => `post_id IN (${OLD_POSTS(c, s)})`) },
+      { label: "state_events", cut, ...deleteStep("state_events", (c, s) => `post_id IN (${OLD_POSTS(c, s)})`) },
+      { label: "revisions", cut, ...deleteStep("revisions", (c, s) => `post_id IN (${OLD_POSTS(c, s)})`) },
+      ...(sqliteOnly ? [{ label: "thread_coverage", cut, ...deleteStep("thread_coverage", (c) => `post_id IN (${OLD_POSTS(c)})`) }] : []),
+      { label: "posts", cut, ...deleteStep("posts", OLD) },
+    );
+  }
+  if (opts.downsampleDailyDays) {
+    const cut = days(opts.downsampleDailyDays);
+    steps.push(
+      { label: "post_snapshots (daily)", cut, ...deleteStep("post_snapshots", downsampleWhere("post_snapshots", "post_id", 86400)) },
+      { label: "comment_snapshots (daily)", cut, ...deleteStep("comment_snapshots", downsampleWhere("comment_snapshots", "comment_id", 86400)) },
+    );
+  }
+  if (opts.downsampleHourlyDays) {
+    const cut = days(opts.downsampleHourlyDays);
+    steps.push(
+      { label: "post_snapshots (hourly)", cut, ...deleteStep("post_snapshots", downsampleWhere("post_snapshots", "post_id", 3600)) },
+      { label: "comment_snapshots (hourly)", cut, ...deleteStep("comment_snapshots", downsampleWhere("comment_snapshots", "comment_id", 3600)) },
+    );
+  }
+  if (opts.bodyRetentionDays) {
+    const cut = days(opts.bodyRetentionDays);
+    steps.push(
+      { label: "comments.body", cut, ...nullStep("comments", "body", (c, s) => `body IS NOT NULL AND post_id IN (${OLD_POSTS(c, s)})`) },
+      { label: "posts.selftext", cut, ...nullStep("posts", "selftext", (c, s) => `selftext <> '' AND ${OLD(c, s)}`) },
+      {
+        label: "revisions.content",
+        cut,
+        ...nullStep("revisions", "content", (c, s) => `content IS NOT NULL AND field IN ('selftext', 'body') AND post_id IN (${OLD_POSTS(c, s)})`),
+      },
+    );
+  }
+  return steps;
+};
+
+// Pruned posts are written out first when --archive-dir is set, as an export of everything before the cutoff.
+// Nothing is written when no post has aged out, so daemon cycles only add a directory when they prune posts.
+const archivePrunedPosts = async (cut) => {
+  const n = sqlite.prepare(`SELECT COUNT(*) AS n FROM posts WHERE created_utc < ?`).get(cut).n;
+  if (!n) return;
+  const dir = path.join(opts.archiveDir, `prune-${new Date().toISOString().replace(/[:.]/g, "-")}`);
+  fs.mkdirSync(dir, { recursive: true });
+  const window = { start: 0, end: cut - 1, subs: null };
+  const manifest = { generated_at: new Date().toISOString(), sqlite_path: opts.dbPath, format: opts.exportFormat, before: iso(cut), tables: {} };
+  for (const table of Object.keys(EXPORT_TABLES)) {
+    manifest.tables[table] = await exportTable(table, window, path.join(dir, `${table}.${opts.exportFormat}`));
+  }
+  fs.writeFileSync(path.join(dir, "manifest.json"), JSON.stringify(manifest, null, 2) + "\n");
+  console.log(`[prune] archived ${n} posts -> ${dir}`);
+};
+
+// --dry-run opens SQLite read-only and counts each step on its own, so a row an earlier step would already have
+// deleted (a pruned post's snapshots, say) is counted again by downsampling or body retention.
+const pruneSqlite = (dryRun, now) => {
+  const counts = {};
+  if (dryRun) {
+    for (const step of pruneSteps({ sqliteOnly: true, now })) counts[step.label] = sqlite.prepare(step.count("@cut")).get({ cut: step.cut }).n;
+    return counts;
+  }
+  sqlite.exec("BEGIN");
+  try {
+    for (const step of pruneSteps({ sqliteOnly: true, now })) {
+      counts[step.label] = sqlite.prepare(step.sql("@cut")).run({ cut: step.cut }).changes;
+    }
+    sqlite.exec("COMMIT");
+  } catch (e) {
+    sqlite.exec("ROLLBACK");
+    throw e;
+  }
+  return counts;
+};
+
+// The Postgres dry run still deletes inside a transaction that is rolled back, so its counts are exact.
+const prunePg = async (client, dryRun, now, subs) => {
+  const counts = {};
+  try {
+    await client.query("BEGIN");
+    for (const step of pruneSteps({ sqliteOnly: false, now })) {
+      counts[step.label] = (await client.query(step.sql("$1", "$2"), [step.cut, subs])).rowCount;
+    }
+    await client.query(dryRun ? "ROLLBACK" : "COMMIT");
+  } catch (e) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw e;
+  }
+  return counts;
+};
+
+const logPruneCounts = (backend, counts, dryRun) => {
+  const changed = Object.entries(counts).filter(([, n]) => n);
+  console.log(`[prune] ${backend}${dryRun ? " (dry run)" : ""}: ${changed.length ? changed.map(([k, n]) => `${k}=${n}`).join(" ") : "nothing to do"}`);
+};
+
+// Shared by the prune command and --prune-after-run. The clock is read once, so the archive, SQLite and
+// Postgres all use the same cutoffs; an unreachable Postgres (after a run) is simply caught up by the next prune,
+// since the policy only depends on the clock.
+const applyRetention = async ({ dryRun = false, vacuum = false } = {}) => {
+  const now = nowSec();
+  // Taken before SQLite is pruned, so a subreddit whose posts all age out still gets pruned in Postgres.
+  const subs = sqlite.prepare(`SELECT DISTINCT lower(subreddit) AS s FROM posts`).all().map((r) => r.s);
+  if (opts.pruneDays && opts.archiveDir && !dryRun) await archivePrunedPosts(now - opts.pruneDays * 86400);
+  const t0 = Date.now();
+  logPruneCounts("sqlite", pruneSqlite(dryRun, now), dryRun);
+  if (!dryRun) {
+    if (vacuum) sqlite.exec("VACUUM");
+    sqlite.exec(vacuum ? "ANALYZE" : "PRAGMA optimize");
+  }
+  console.log(`[prune] sqlite done in ${Date.now() - t0}ms`);
+
+  if (!opts.pgUrl) return;
+  if (!pg) {
+    console.warn("[prune] Postgres unavailable; its rows are pruned on the next run/prune that reaches it");
+    return;
+  }
+  // Queued batches may still carry rows about to be pruned; get them in first so they are pruned too. A dry run
+  // leaves them queued and counts without them.
+  if (!dryRun) await flushPgOutbox();
+  if (outboxCountsSql.get().batches) {
+    console.warn(dryRun ? "[prune] pg_outbox has pending batches; the Postgres counts leave them out"
+      : "[prune] pg_outbox still has pending batches; replaying them later can re-add pruned rows");
+  }
+  const t1 = Date.now();
+  logPruneCounts("postgres", await prunePg(pg, dryRun, now, subs), dryRun);
+  if (vacuum && !dryRun) {
+    try {
+      await pg.query("VACUUM ANALYZE");
+    } catch (e) {
+      console.warn(`[prune] postgres VACUUM ANALYZE failed: ${e.message || e}`);
+    }
+  }
+  console.log(`[prune] postgres done in ${Date.now() - t1}ms`);
+};
+
+// Works on a VACUUM INTO copy, then VACUUMs the copy so no freed page still holds a raw name or body.
+const runPseudonymizeCommand = () => {
+  const out = opts.pseudonymizeOut;
+  if (fs.existsSync(out)) throw new Error(`${out} already exists`);
+  const t0 = Date.now();
+  sqlite.prepare("VACUUM INTO ?").run(out);
+  const copy = new Database(out);
+  try {
+    const stored = copy.prepare(`SELECT value FROM dataset_meta WHERE key = 'pseudonym_key'`).get()?.value;
+    if (stored) throw new Error("source database is already pseudonymized");
+    const key = opts.pseudonymizeKey;
+    copy.function("pseudonym", { deterministic: true }, (author) => pseudonym(key, author));
+    const counts = copy.transaction(() => {
+      // Old rows may lack is_submitter; derive it from the raw names while they are still there.
+      const submitter = copy.prepare(`
+        UPDATE comments SET is_submitter = (author = (SELECT p.author FROM posts p WHERE p.id = comments.post_id))
+        WHERE is_submitter IS NULL AND author IS NOT NULL AND author <> '[deleted]'`).run().changes;
+      const c = {
+        posts: copy.prepare(`UPDATE posts SET author = pseudonym(author) WHERE author IS NOT NULL`).run().changes,
+        comments: copy.prepare(`UPDATE comments SET author = pseudonym(author) WHERE author IS NOT NULL`).run().changes,
+        is_submitter_filled: submitter,
+      };
+      if (opts.stripBodies) {
+        c.selftext = copy.prepare(`UPDATE posts SET selftext = NULL WHERE selftext <> ''`).run().changes;
+        c.bodies = copy.prepare(`UPDATE comments SET body = NULL WHERE body IS NOT NULL`).run().changes;
+        c.revisions = copy.prepare(`UPDATE revisions SET content = NULL WHERE content IS NOT NULL AND field IN ('selftext', 'body')`).run().changes;
+      }
+      // Queued PG batches carry raw rows, and the queues mean nothing outside this scraper.
+      c.pg_outbox = copy.prepare(`DELETE FROM pg_outbox`).run().changes;
+      c.webhook_deliveries = copy.prepare(`DELETE FROM webhook_deliveries`).run().changes;
+      copy.prepare(`INSERT INTO dataset_meta (key, value) VALUES ('pseudonym_key', ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value`)
+        .run(keyFingerprint(key));
+      return c;
+    })();
+    copy.exec("VACUUM");
+    console.log(`[pseudonymize] ${Object.entries(counts).map(([k, n]) => `${k}=${n}`).join(" ")}`);
+  } catch (e) {
+    copy.close();
+    fs.rmSync(out, { force: true });
+    throw e;
+  }
+  copy.close();
+  console.log(`[pseudonymize] ${opts.dbPath} -> ${out} (${Date.now() - t0}ms)`);
+  return 0;
+};
+
+// A dry run neither migrates nor writes: SQLite is open read-only, and Postgres gets a plain connection with no
+// schema setup, so both must already be at this build's schema.
+const openPruneDryRun = async () => {
+  if (!fs.existsSync(opts.dbPath)) throw new Error(`no database at ${opts.dbPath}`);
+  const top = sqliteAppliedMigrations().pop()?.version ?? 0;
+  if (top < SCHEMA_VERSION) throw new Error(`sqlite schema v${top} < v${SCHEMA_VERSION}; run the scraper or \`migrate\` once`);
+  if (!opts.pgUrl) return;
+  const client = new PgClient({ connectionString: opts.pgUrl });
+  try {
+    await client.connect();
+    const pgTop = (await pgAppliedMigrations(client)).pop()?.version ?? 0;
+    if (pgTop < SCHEMA_VERSION) throw new Error(`postgres schema v${pgTop} < v${SCHEMA_VERSION}; run the scraper or \`migrate\` once`);
+  } catch (e) {
+    await client.end().catch(() => {});
+    throw e;
+  }
+  pg = client;
+};
+
+const runPruneCommand = async () => {
+  const rechecked = Math.min(...[opts.pruneDays, opts.bodyRetentionDays].filter(Boolean));
+  if (rechecked <= opts.daysBack) {
+    console.warn(`[prune] retention of ${rechecked} day(s) is within --days-back ${opts.daysBack}; runs will fetch those posts again`);
+  }
+  await applyRetention({ dryRun: opts.dryRun, vacuum: true });
+  return 0;
+};
+
+// --- serve: read-only JSON API + dashboard over SQLite (or the Postgres mirror) ---
+
+// One SQL per backend where they differ; @name params are rewritten to $n for Postgres.
+const SERVE_POST_COLS = `id, subreddit, title, author, created_utc, score, upvote_ratio, num_comments, link_flair_text AS flair, domain,
+  url, external_url, removed_by_category, locked, distinguished, first_seen, removed_at, locked_at, last_checked`;
+
+const SERVE_QUERIES = {
+  posts: {
+    sqlite: `
+      SELECT ${SERVE_POST_COLS} FROM posts
+      WHERE created_utc >= @start AND created_utc <= @end
+        AND (@sub IS NULL OR lower(subreddit) = @sub)
+        AND (@flair IS NULL OR link_flair_text = @flair)
+        AND (@domain IS NULL OR domain = @domain)
+        AND (@removed IS NULL OR (removed_by_category IS NOT NULL) = @removed)
+        AND (@locked IS NULL OR locked = @locked)
+      ORDER BY created_utc DESC, id LIMIT @limit OFFSET @offset`,
+    pg: `
+      SELECT ${SERVE_POST_COLS} FROM posts
+      WHERE created_utc >= @start AND created_utc <= @end
+        AND (@sub::text IS NULL OR lower(subreddit) = @sub)
+        AND (@flair::text IS NULL OR link_flair_text = @flair)
+        AND (@domain::text IS NULL OR domain = @domain)
+        AND (@removed::boolean IS NULL OR (removed_by_category IS NOT NULL) = @removed)
+        AND (@locked::boolean IS NULL OR locked = @locked)
+      ORDER BY created_utc DESC, id LIMIT @limit OFFSET @offset`,
+  },
+  post: `SELECT ${SERVE_POST_COLS}, selftext FROM posts WHERE id = @id`,
+  snapshots: `SELECT ts, score, upvote_ratio, num_comments, locked, removed FROM post_snapshots WHERE post_id = @id ORDER BY ts`,
+  comments: `
+    SELECT id, parent_id, author, body, body_state, score, created_utc, removed_by_category, locked, distinguished, collapsed_reason,
+           first_seen, removed_at, locked_at
+    FROM comments WHERE post_id = @id ORDER BY created_utc, id LIMIT 2000`,
+  events: `SELECT id, thing_type, thing_id, field, old_value, new_value, observed_at FROM state_events WHERE post_id = @id ORDER BY observed_at, id`,
+  revisions: `SELECT id, thing_type, thing_id, field, content, edited, observed_at FROM revisions WHERE post_id = @id ORDER BY thing_id, id`,
+};
+
+const SERVE_BOOLS = new Set(["locked", "removed", "is_self", "is_submitter"]);
+
+let serveSource = "sqlite";
+
+const serveQuery = async (name, params) => {
+  const q = SERVE_QUERIES[name];
+  const sql = typeof q === "string" ? q : q[serveSource];
+  let rows;
+  if (serveSource === "pg") {
+    const names = [];
+    const text = sql.replace(/@(\w+)/g, (_, n) => {
+      if (!names.includes(n)) names.push(n);
+      return `$${names.indexOf(n) + 1}`;
+    });
+    rows = (await pg.query(text, names.map((n) => params[n] ?? null))).rows;
+  } else {
+    rows = sqlite.prepare(sql).all(params);
+  }
+  // SQLite hands back 0/1 where PG has booleans; the API speaks booleans either way.
+  for (const r of rows) {
+    for (const k of Object.keys(r)) if (SERVE_BOOLS.has(k) && r[k] != null) r[k] = !!r[k];
+  }
+  return rows;
+};
+
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+const queryFlag = (v, name) => {
+  if (v == null || v === "") return null;
+  if (v === "1" || v === "true") return 1;
+  if (v === "0" || v === "false") return 0;
+  throw httpError(400, `${name} must be 0/1`);
+};
+
+const queryTime = (v, name) => {
+  try { return parseWhen(v); } catch { throw httpError(400, `invalid ${name}: ${v}`); }
+};
+
+const apiPosts = async (q) => {
+  const limit = Math.min(500, Math.max(1, Number(q.get("limit")) || 100));
+  const offset = Math.max(0, Number(q.get("offset")) || 0);
+  const days = Number(q.get("days_back")) || opts.daysBack;
+  const params = {
+    start: queryTime(q.get("start"), "start") ?? nowSec() - days * 86400,
+    end: queryTime(q.get("end"), "end") ?? Number.MAX_SAFE_INTEGER,
+    sub: q.get("subreddit") ? subKey(q.get("subreddit")) : null,
+    flair: q.get("flair") || null,
+    domain: q.get("domain") || null,
+    removed: queryFlag(q.get("removed"), "removed"),
+    locked: queryFlag(q.get("locked"), "locked"),
+    limit,
+    offset,
+  };
+  if (serveSource === "pg") {
+    for (const k of ["removed", "locked"]) if (params[k] != null) params[k] = !!params[k];
+  }
+  const posts = await serveQuery("posts", params);
+  return { count: posts.length, limit, offset, posts };
+};
+
+const apiPost = async (id) => {
+  const [post] = await serveQuery("post", { id });
+  if (!post) throw httpError(404, `post ${id} not found`);
+  const [snapshots, comments, events, revisions] = [
+    await serveQuery("snapshots", { id }),
+    await serveQuery("comments", { id }),
+    await serveQuery("events", { id }),
+    await serveQuery("revisions", { id }),
+  ];
+  return { post, snapshots, comments, events, revisions };
+};
+
+const apiReport = (q) => {
+  if (serveSource !== "sqlite") throw httpError(501, "report sections are computed from SQLite; serve with --source sqlite");
+  const days = Number(q.get("days_back")) || opts.daysBack;
+  return reportsAsJson([buildReport(q.get("subreddit") || null, days)]);
+};
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { "Content-Type": "application/json; charset=utf-8", "Cache-Control": "no-store" });
+  res.end(JSON.stringify(body));
+};
+
+const handleServeRequest = async (req, res) => {
+  const u = new URL(req.url, "http://localhost");
+  try {
+    if (req.method !== "GET" && req.method !== "HEAD") throw httpError(405, "read-only API");
+    let m;
+    if (u.pathname === "/" || u.pathname === "/index.html") {
+      res.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+      res.end(DASHBOARD_HTML);
+    } else if (u.pathname === "/api/health") {
+      sendJson(res, 200, { ok: true, source: serveSource, schema_version: SCHEMA_VERSION, days_back: opts.daysBack });
+    } else if (u.pathname === "/api/posts") {
+      sendJson(res, 200, await apiPosts(u.searchParams));
+    } else if ((m = u.pathname.match(/^\/api\/posts\/([a-z0-9]+)$/i))) {
+      sendJson(res, 200, await apiPost(m[1]));
+    } else if (u.pathname === "/api/report") {
+      sendJson(res, 200, apiReport(u.searchParams));
+    } else {
+      throw httpError(404, "not found");
+    }
+  } catch (e) {
+    const status = e.status || 500;
+    if (status === 500) console.error(`[serve] ${req.method} ${u.pathname}:`, e.message || e);
+    sendJson(res, status, { error: String(e.message || e) });
+  }
+};
+
+// Static page; all data comes from the /api endpoints above.
+const DASHBOARD_HTML = `<!doctype html>
+<html><head><meta charset="utf-8"><title>Removal/Lock Tracker</title>
+<style>
+body{font:14px/1.4 system-ui,sans-serif;margin:0;color:#222}
+header{background:#1f2933;color:#fff;padding:10px 16px}
+header a{color:#9fd3ff;margin-right:14px;cursor:pointer}
+main{padding:12px 16px}
+form{margin-bottom:10px}form input,form select{margin-right:8px}
+table{border-collapse:collapse;margin-bottom:1.5em;width:100%}
+th,td{border-bottom:1px solid #ddd;padding:3px 6px;text-align:left;vertical-align:top}
+th{background:#f3f3f3}
+tr.rm td{background:#fde8e8}tr.lk td{background:#fff6d6}
+td.t{max-width:520px}a.p{cursor:pointer;color:#0b62a4}
+.muted{color:#888}.err{color:#b00}
+svg{border:1px solid #ddd;background:#fafafa}
+</style></head><body>
+<header><b>Removal/Lock Tracker</b> &nbsp; <a onclick="showPosts()">Posts</a><a onclick="showReport()">Report</a><span id="src" class="muted"></span></header>
+<main id="main"></main>
+<script>
+const $ = (s) => document.querySelector(s);
+const esc = (v) => (v == null ? "" : String(v)).replace(/[&<>"]/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" }[c]));
+const when = (s) => (s ? new Date(s * 1000).toISOString().replace("T", " ").slice(0, 16) : "");
+const api = async (p) => { const r = await fetch(p); const j = await r.json(); if (!r.ok) throw new Error(j.error || r.status); return j; };
+const fail = (e) => { $("#main").insertAdjacentHTML("beforeend", \`<p class="err">\${esc(e.message)}</p>\`); };
+
+const table = (rows, cols, rowAttr = () => "") => rows.length
+  ? \`<table><tr>\${cols.map(([h]) => \`<th>\${esc(h)}</th>\`).join("")}</tr>\${rows.map((r) => \`<tr \${rowAttr(r)}>\${cols.map(([, f]) => \`<td>\${f(r)}</td>\`).join("")}</tr>\`).join("")}</table>\`
+  : \`<p class="muted">no rows</p>\`;
+
+const filters = { days_back: "", subreddit: "", flair: "", domain: "", removed: "", locked: "" };
+
+const showPosts = async () => {
+  const sel = (k, label) => \`<select name="\${k}"><option value="">\${label}: any</option><option value="1"\${filters[k] === "1" ? " selected" : ""}>yes</option><option value="0"\${filters[k] === "0" ? " selected" : ""}>no</option></select>\`;
+  $("#main").innerHTML = \`<form id="f">
+    <input name="days_back" size="4" placeholder="days" value="\${esc(filters.days_back)}">
+    <input name="subreddit" placeholder="subreddit" value="\${esc(filters.subreddit)}">
+    <input name="flair" placeholder="flair" value="\${esc(filters.flair)}">
+    <input name="domain" placeholder="domain" value="\${esc(filters.domain)}">
+    \${sel("removed", "removed")}\${sel("locked", "locked")}<button>Filter</button></form><div id="list" class="muted">loading…</div>\`;
+  $("#f").onsubmit = (ev) => { ev.preventDefault(); for (const [k, v] of new FormData(ev.target)) filters[k] = v; showPosts(); };
+  try {
+    const qs = new URLSearchParams(Object.entries(filters).filter(([, v]) => v !== "")).toString();
+    const { posts } = await api(\`/api/posts?limit=500&\${qs}\`);
+    $("#list").outerHTML = \`<p class="muted">\${posts.length} posts (max 500)</p>\` + table(posts, [
+      ["created", (p) => when(p.created_utc)],
+      ["sub", (p) => esc(p.subreddit)],
+      ["title", (p) => \`<a class="p" onclick="showPost('\${esc(p.id)}')">\${esc(p.title)}</a>\`],
+      ["flair", (p) => esc(p.flair)],
+      ["domain", (p) => esc(p.domain)],
+      ["score", (p) => esc(p.score)],
+      ["comments", (p) => esc(p.num_comments)],
+      ["removed", (p) => esc(p.removed_by_category)],
+      ["removed at", (p) => when(p.removed_at)],
+      ["locked at", (p) => when(p.locked_at)],
+    ], (p) => (p.removed_by_category ? 'class="rm"' : p.locked ? 'class="lk"' : ""));
+  } catch (e) { fail(e); }
+};
+
+const chart = (points) => {
+  if (points.length < 2) return \`<p class="muted">\${points.length} score point(s)</p>\`;
+  const w = 640, h = 160, xs = points.map((p) => p.ts), ys = points.map((p) => p.score ?? 0);
+  const x0 = Math.min(...xs), x1 = Math.max(...xs), y0 = Math.min(...ys), y1 = Math.max(...ys);
+  const px = (x) => 5 + (w - 10) * (x - x0) / ((x1 - x0) || 1), py = (y) => h - 5 - (h - 10) * (y - y0) / ((y1 - y0) || 1);
+  return \`<svg width="\${w}" height="\${h}"><polyline fill="none" stroke="#0b62a4" stroke-width="2" points="\${points.map((p) => \`\${px(p.ts)},\${py(p.score ?? 0)}\`).join(" ")}"/></svg>
+    <div class="muted">score \${y0} … \${y1}, \${when(x0)} → \${when(x1)}</div>\`;
+};
+
+const showPost = async (id) => {
+  $("#main").innerHTML = \`<p class="muted">loading…</p>\`;
+  try {
+    const { post, snapshots, comments, events } = await api(\`/api/posts/\${encodeURIComponent(id)}\`);
+    $("#main").innerHTML = \`<h2>\${esc(post.title)}</h2>
+      <p><a href="\${esc(post.url)}" target="_blank" rel="noopener">\${esc(post.url)}</a><br>
+      r/\${esc(post.subreddit)} · u/\${esc(post.author)} · flair "\${esc(post.flair)}" · created \${when(post.created_utc)} · first seen \${when(post.first_seen)}<br>
+      removed: \${esc(post.removed_by_category) || "no"} \${when(post.removed_at)} · locked: \${post.locked ? "yes" : "no"} \${when(post.locked_at)}</p>
+      <h3>Score</h3>\${chart(snapshots)}
+      <h3>State changes</h3>\${table(events, [["observed", (e) => when(e.observed_at)], ["thing", (e) => \`\${esc(e.thing_type)} \${esc(e.thing_id)}\`], ["field", (e) => esc(e.field)], ["old", (e) => esc(e.old_value)], ["new", (e) => esc(e.new_value)]])}
+      <h3>Comments (\${comments.length})</h3>\${table(comments, [
+        ["created", (c) => when(c.created_utc)], ["author", (c) => esc(c.author)], ["score", (c) => esc(c.score)],
+        ["body", (c) => esc(c.body)], ["removed", (c) => \`\${esc(c.removed_by_category)} \${when(c.removed_at)}\`],
+      ], (c) => (c.removed_by_category ? 'class="rm"' : ""))}\`;
+  } catch (e) { fail(e); }
+};
+
+const showReport = async () => {
+  $("#main").innerHTML = \`<p class="muted">loading…</p>\`;
+  try {
+    const { reports } = await api(\`/api/report?\${new URLSearchParams(Object.entries({ subreddit: filters.subreddit, days_back: filters.days_back }).filter(([, v]) => v))}\`);
+    $("#main").innerHTML = reports.map((r) => \`<h2>Report\${r.subreddit ? \` r/\${esc(r.subreddit)}\` : ""} <span class="muted">since \${esc(r.window_start)}</span></h2>\` +
+      r.sections.map((s) => \`<h3>\${esc(s.title)}</h3>\` + (s.error ? \`<p class="err">\${esc(s.error)}</p>\`
+        : table(s.rows, Array.from(new Set(s.rows.flatMap((x) => Object.keys(x)))).map((k) => [k, (x) => esc(x[k])])))).join("")).join("");
+  } catch (e) { $("#main").innerHTML = ""; fail(e); }
+};
+
+api("/api/health").then((h) => { $("#src").textContent = \` source: \${h.source}, schema v\${h.schema_version}\`; }).catch(() => {});
+showPosts();
+</script>
+</body></html>
+`;
+
+const runServeCommand = async () => {
+  serveSource = opts.serveSource;
+  if (serveSource === "pg") {
+    if (!opts.pgUrl) throw new Error("--source pg needs --pg-url / REDDIT_SCRAPER_PG_URL");
+    pg = new PgClient({
+      connectionString: opts.pgUrl,
+      types: { getTypeParser: (oid, fmt) => (oid === 20 ? Number : pgTypes.getTypeParser(oid, fmt)) },
+    });
+    await pg.connect();
+    await pg.query("SET default_transaction_read_only = on");
+  } else {
+    const top = sqliteAppliedMigrations().pop()?.version ?? 0;
+    if (top < SCHEMA_VERSION) console.warn(`[serve] sqlite schema v${top} < v${SCHEMA_VERSION}; run the scraper or \`migrate\` once`);
+  }
+
+  const server = http.createServer((req, res) => { handleServeRequest(req, res); });
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(opts.servePort, opts.serveHost, resolve);
+  });
+  console.log(`[serve] ${serveSource === "pg" ? pgDsnPretty(opts.pgUrl) : opts.dbPath} (read-only) on http://${opts.serveHost}:${opts.servePort}/`);
+  return server;
+};
+
+const printMigrationStatus = (backend, where, applied) => {
+  const byVersion = new Map(applied.map((m) => [m.version, m]));
+  const top = applied.length ? applied[applied.length - 1].version : 0;
+  const pending = pendingMigrations(applied);
+  console.log(`[migrate] ${backend} ${where}: schema v${top} (code v${SCHEMA_VERSION}), ${pending.length} pending`);
+  for (const m of MIGRATIONS) {
+    const a = byVersion.get(m.version);
+    console.log(`  ${`v${m.version} ${m.name}`.padEnd(45)} ${a ? `applied ${iso(a.applied_at)}` : "pending"}`);
+  }
+  for (const a of applied) {
+    if (a.version > SCHEMA_VERSION) console.log(`  ${`v${a.version} ${a.name}`.padEnd(45)} applied ${iso(a.applied_at)} (unknown to this build)`);
+  }
+};
+
+const printDryRun = (backend, pending) => {
+  if (!pending.length) { console.log(`[migrate] ${backend}: up to date`); return; }
+  for (const m of pending) {
+    const sql = m[backend === "sqlite" ? "sqlite" : "pg"];
+    console.log(`[migrate] ${backend}: would apply v${m.version} ${m.name}`);
+    if (opts.verbose) console.log(typeof sql === "function" ? "  (scripted migration)" : sql ? sql.trim().replace(/^/gm, "  ") : "  (nothing to do on this backend)");
+  }
+};
+
+const runMigrateCommand = async () => {
+  const apply = !opts.status && !opts.dryRun;
+
+  if (!apply && !fs.existsSync(opts.dbPath)) console.log(`[migrate] sqlite ${opts.dbPath}: no database yet`);
+  printMigrationStatus("sqlite", opts.dbPath, sqliteAppliedMigrations());
+  if (opts.dryRun) printDryRun("sqlite", migrateSqlite({ dryRun: true }));
+  if (apply) migrateSqlite();
+
+  if (!opts.pgUrl) return 0;
+  let client = null;
+  try {
+    client = apply ? await ensurePgDatabase() : new PgClient({ connectionString: opts.pgUrl });
+    if (!apply) await client.connect();
+    printMigrationStatus("postgres", pgDsnPretty(opts.pgUrl), await pgAppliedMigrations(client));
+    if (opts.dryRun) printDryRun("postgres", await migratePg(client, { dryRun: true }));
+    if (apply) await migratePg(client);
+  } finally {
+    if (client) await client.end().catch(() => {});
+  }
+  return 0;
+};
+
+const main = async () => {
+  if (opts.command === "migrate") {
+    try {
+      process.exitCode = await runMigrateCommand();
+    } catch (e) {
+      console.error(`[migrate] ${e.message || e}`);
+      process.exitCode = 1;
+    }
+    await shutdown();
+    return;
+  }
+
+  if (opts.command === "serve") {
+    try {
+      await runServeCommand();
+    } catch (e) {
+      console.error(`[serve] ${e.message || e}`);
+      await shutdown();
+      process.exit(1);
+    }
+    return;
+  }
+
+  if (opts.command === "export") {
+    try {
+      process.exitCode = await runExportCommand();
+    } catch (e) {
+      console.error(`[export] ${e.message || e}`);
+      process.exitCode = 1;
+    }
+    await shutdown();
+    return;
+  }
+
+  if (opts.command === "pseudonymize") {
+    try {
+      migrateSqlite();
+      process.exitCode = runPseudonymizeCommand();
+    } catch (e) {
+      console.error(`[pseudonymize] ${e.message || e}`);
+      process.exitCode = 1;
+    }
+    await shutdown();
+    return;
+  }
+
+  if (opts.command === "prune") {
+    try {
+      if (opts.dryRun) await openPruneDryRun();
+      else {
+        migrateSqlite();
+        await initPg();
+      }
+      process.exitCode = await runPruneCommand();
+    } catch (e) {
+      console.error(`[prune] ${e.message || e}`);
+      process.exitCode = 1;
+    }
+    await shutdown();
+    return;
+  }
+
+  if (opts.command === "sync" || opts.command === "verify") {
+    try {
+      migrateSqlite();
+      await initPg();
+      process.exitCode = opts.command === "sync" ? await runSyncCommand() : await runVerifyCommand();
+    } catch (e) {
+      console.error(`[${opts.command}] ${e.message || e}`);
+      process.exitCode = 1;
+    }
+    await shutdown();
+    return;
+  }
+
+  console.log(`[startup] version=${UAC}`);
+  console.log(`[startup] sqlite=${opts.dbPath}`);
+  console.log(`[startup] postgres=${opts.pgUrl ? pgDsnPretty(opts.pgUrl) : "disabled"}`);
+
+  try {
+    migrateSqlite();
+    checkAuthorMode();
+  } catch (e) {
+    console.error(`[startup] ${e.message || e}`);
+    await shutdown();
+    process.exit(1);
+  }
+  try {
+    await initPg();
+  } catch (e) {
+    // Keep scraping into SQLite; pg_outbox holds the writes until PG is reachable again.
+    console.warn(`[storage] PG unavailable (${e.message || e}); continuing sqlite-only, PG writes queue in pg_outbox`);
+    pg = null;
+    pgConnected = false;
+  }
+
+  if (opts.daemon) {
+    let metricsServer = null;
+    if (opts.metricsPort) {
+      try {
+        metricsServer = await startMetricsServer();
+      } catch (e) {
+        console.error(`[metrics] cannot listen on ${opts.metricsHost}:${opts.metricsPort}: ${e.message || e}`);
+      }
+    }
+    await runDaemon();
+    if (metricsServer) metricsServer.close();
     await shutdown();
     setImmediate(() => process.exit(0));
+    return;
   }
+
+  process.exitCode = await runCycle();
+  await shutdown();
+  setImmediate(() => process.exit(0));
+};
+
+const onSignal = (code) => async () => {
+  if (opts.daemon && !stopRequested) {
+    stopRequested = true;
+    console.log("[daemon] stop requested; finishing current cycle (signal again to force)");
+    if (wakeDaemon) wakeDaemon();
+    return;
+  }
+  await shutdown();
+  process.exit(code);
 };
 
-process.on("SIGINT", async () => { await shutdown(); process.exit(130); });
-process.on("SIGTERM", async () => { await shutdown(); process.exit(143); });
+process.on("SIGINT", onSignal(130));
+process.on("SIGTERM", onSignal(143));
 
 main().catch(async (e) => {
   console.error("unhandled:", e);